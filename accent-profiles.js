@@ -0,0 +1,113 @@
+/* Rhyme Lab Pro - Accent Profiles
+ * Reshape dictionary (General American) phones to how a given accent actually sounds,
+ * so rhymes that only work in that accent are detected (car/saw, pass/farce, pin/pen)
+ */
+
+// Each profile is a set of phonological rules applied in a fixed order:
+//   lotSplit     - LOT words (spelled with "o") leave AA for a rounded vowel: father ≠ bother
+//   trapBath     - AE before F, TH, S and N+T/S/CH becomes AA: bath, grass, dance
+//   startBacking - START and BATH vowels are backed and rounded to AO (broad South African "car", "pass")
+//   cotCaught    - AO merges into AA: cot = caught
+//   pinPen       - EH before nasals raises to IH: pen = pin
+//   nonRhotic    - post-vocalic R is dropped and unstressed ER becomes a schwa
+const ACCENT_PROFILES = {
+    'general-american': {
+        name: 'General American (dictionary)',
+        aliases: ['american', 'us', 'usa', 'ga'],
+        rules: {}
+    },
+    'american-merged': {
+        name: 'American, cot–caught merged',
+        aliases: ['western-american', 'canadian', 'cot-caught'],
+        rules: { cotCaught: true }
+    },
+    'american-southern': {
+        name: 'Southern American',
+        aliases: ['southern', 'south'],
+        rules: { pinPen: true }
+    },
+    'new-england': {
+        name: 'New England (Boston)',
+        aliases: ['boston'],
+        rules: { nonRhotic: true, cotCaught: true }
+    },
+    'british': {
+        name: 'British (RP)',
+        aliases: ['uk', 'rp', 'english', 'england'],
+        rules: { nonRhotic: true, trapBath: true, lotSplit: true }
+    },
+    'south-african': {
+        name: 'South African English',
+        aliases: ['sa', 'za', 'saffa', 'south africa'],
+        rules: { nonRhotic: true, trapBath: true, lotSplit: true, startBacking: true }
+    }
+};
+
+const DEFAULT_ACCENT = 'general-american';
+
+const ACCENT_VOWELS = new Set([
+    "AA", "AE", "AH", "AO", "AW", "AY", "EH", "ER", "EY", "IH", "IY", "OW", "OY", "UH", "UW"
+]);
+
+// Find a profile by id, display name or alias (case-insensitive); unknown names give the default
+function resolveAccentProfile(name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    for (const [id, profile] of Object.entries(ACCENT_PROFILES)) {
+        if (id === wanted || profile.name.toLowerCase() === wanted || profile.aliases.includes(wanted)) {
+            return { id, ...profile };
+        }
+    }
+    return { id: DEFAULT_ACCENT, ...ACCENT_PROFILES[DEFAULT_ACCENT] };
+}
+
+// Transform one pronunciation; word is the spelling, used only for the LOT/PALM split
+function applyAccentProfile(phones, word, profile) {
+    const rules = profile ? profile.rules : {};
+    if (!rules || Object.keys(rules).length === 0) return phones;
+
+    const split = phones.map(phone => {
+        const base = phone.replace(/\d/g, '');
+        return { base, stress: phone.slice(base.length) };
+    });
+    const isVowel = i => i >= 0 && i < split.length && ACCENT_VOWELS.has(split[i].base);
+    const baseAt = i => (i >= 0 && i < split.length ? split[i].base : null);
+    // R that closes a syllable (not followed by a vowel) is the one non-rhotic accents drop
+    const codaR = i => baseAt(i) === "R" && !isVowel(i + 1);
+    const lotWord = /o/.test(word || '') && !/a/.test(word || '');
+
+    split.forEach((p, i) => {
+        if (rules.lotSplit && p.base === "AA" && lotWord) {
+            p.base = "AO";
+        }
+        if (rules.trapBath && p.base === "AE") {
+            const next = baseAt(i + 1);
+            if (["F", "TH", "S"].includes(next) || (next === "N" && ["T", "S", "CH"].includes(baseAt(i + 2)))) {
+                p.base = "AA";
+                p.bath = true;
+            }
+        }
+        if (rules.startBacking && p.base === "AA" && (codaR(i + 1) || p.bath)) {
+            p.base = "AO";
+        }
+        if (rules.cotCaught && p.base === "AO") {
+            p.base = "AA";
+        }
+        if (rules.pinPen && p.base === "EH" && ["N", "M", "NG"].includes(baseAt(i + 1))) {
+            p.base = "IH";
+        }
+    });
+
+    let result = split;
+    if (rules.nonRhotic) {
+        result = split
+            .filter((p, i) => !(p.base === "R" && isVowel(i - 1) && codaR(i)))
+            .map(p => (p.base === "ER" && p.stress === "0" ? { base: "AH", stress: "0" } : p));
+    }
+
+    return result.map(p => p.base + p.stress);
+}
+
+// Export for use in main plugin
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ACCENT_PROFILES, DEFAULT_ACCENT, resolveAccentProfile, applyAccentProfile };
+}
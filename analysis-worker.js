@@ -0,0 +1,217 @@
+/* Rhyme Lab Pro - Analysis Worker
+ * Runs the rhyme engine in a Web Worker so long notes don't freeze Obsidian. A worker can't require files
+ * from the plugin folder, so the engine's modules are read through the vault adapter and bundled into the
+ * worker script behind a minimal CommonJS loader
+ *
+ * Messages to the worker:
+ *   { type: 'configure', settings, userLexicon, lexicon }  - fresh engine; lexicon (dictionary text) is sent once
+ *   { type: 'analyze', id, text, options, enhanced }
+ *   { type: 'cancel', id }
+ * Every analyze gets one reply: { type: 'result', id, analysis }, { type: 'error', id, message }
+ * or { type: 'cancelled', id }
+ */
+
+const { RhymeAnalyzer, AnalysisCancelledError } = require('./rhyme-analyzer.js');
+const { PronunciationLexicon, LEXICON_FILE } = require('./pronunciation-lexicon.js');
+const { UserLexicon } = require('./user-lexicon.js');
+
+// Plugin files bundled into the worker; the first is its entry point
+const WORKER_MODULES = [
+    'analysis-worker.js', 'rhyme-analyzer.js', 'hip-hop-enhancements.js', 'pronunciation-lexicon.js',
+    'user-lexicon.js', 'accent-profiles.js', 'south-african-languages.js', 'spanish-phonetics.js',
+    'phonetic-model.js', 'tokenizer.js', 'text-normalizer.js'
+];
+
+// Runs inside the worker: require() over the bundled module factories, then start serving
+function startWorker(factories, entry) {
+    const modules = {};
+    const load = name => {
+        const file = name.replace(/^\.\//, '');
+        if (!modules[file]) {
+            if (!factories[file]) throw new Error(`Cannot find module '${name}'`);
+            modules[file] = { exports: {} };
+            factories[file](modules[file], modules[file].exports, load);
+        }
+        return modules[file].exports;
+    };
+    load(entry).serveAnalyses(self);
+}
+
+// Worker side: one analysis at a time, in arrival order. Requests cancelled while queued are skipped,
+// and a running one stops at its next checkpoint
+function serveAnalyses(scope) {
+    let lexicon = null;
+    let analyzer = null;
+    let queue = Promise.resolve();
+    const cancelled = new Set();
+
+    const run = async ({ id, text, options, enhanced }) => {
+        const checkpoint = async () => {
+            await new Promise(resolve => setTimeout(resolve, 0)); // Let cancel messages in
+            if (cancelled.has(id)) throw new AnalysisCancelledError();
+        };
+        try {
+            await checkpoint();
+            if (!analyzer) throw new Error('The analysis worker has not been configured');
+            // background lifts the caps that keep main-thread analysis responsive
+            const runOptions = Object.assign({}, options, { checkpoint, background: true });
+            const analysis = enhanced
+                ? await analyzer.analyzeEnhanced(text, runOptions)
+                : await analyzer.analyze(text, runOptions);
+            scope.postMessage({ type: 'result', id, analysis });
+        } catch (error) {
+            scope.postMessage(error instanceof AnalysisCancelledError
+                ? { type: 'cancelled', id }
+                : { type: 'error', id, message: error.message });
+        } finally {
+            cancelled.delete(id);
+        }
+    };
+
+    scope.onmessage = ({ data }) => {
+        if (data.type === 'configure') {
+            if (data.lexicon !== undefined) {
+                lexicon = new PronunciationLexicon(async () => {
+                    if (data.lexicon === null) throw new Error(`${LEXICON_FILE} could not be read`);
+                    return data.lexicon;
+                });
+            }
+            // The plugin sends the user dictionary's JSON; UserLexicon parses it as if read from the vault
+            const userLexicon = new UserLexicon({ exists: async () => true, read: async () => data.userLexicon });
+            analyzer = new RhymeAnalyzer(data.settings, lexicon, userLexicon);
+        } else if (data.type === 'cancel') {
+            cancelled.add(data.id);
+        } else if (data.type === 'analyze') {
+            queue = queue.then(() => run(data));
+        }
+    };
+}
+
+// Plugin side. Each new request supersedes the ones still pending: they are cancelled in the worker
+// and their promises reject with AnalysisCancelledError
+class AnalysisWorker {
+    // readFile reads a file from the plugin folder as text (e.g. through the vault adapter)
+    constructor(readFile) {
+        this.readFile = readFile;
+        this.worker = null;
+        this.scriptUrl = null;
+        this.startPromise = null;
+        this.sending = Promise.resolve(); // Keeps configure and analyze messages in call order
+        this.configuration = null; // Sent before the next request (see configure)
+        this.lexiconSent = false;
+        this.pending = new Map(); // Request id -> { resolve, reject, sent }
+        this.nextId = 1;
+    }
+
+    // Build the worker on first use. Resolves false when no worker can run here, so callers analyze on
+    // the main thread instead
+    start() {
+        if (!this.startPromise) {
+            this.startPromise = this.createWorker().then(() => true, error => {
+                console.warn('Analysis worker unavailable, analyzing on the main thread:', error.message);
+                this.stop();
+                return false;
+            });
+        }
+        return this.startPromise;
+    }
+
+    async createWorker() {
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined') {
+            throw new Error('Web Workers are not supported here');
+        }
+        const sources = await Promise.all(WORKER_MODULES.map(file => this.readFile(file)));
+        const factories = WORKER_MODULES.map((file, i) =>
+            `${JSON.stringify(file)}: function (module, exports, require) {\n${sources[i]}\n}`);
+        const script = `(${startWorker})({\n${factories.join(',\n')}\n}, ${JSON.stringify(WORKER_MODULES[0])});\n`;
+
+        this.scriptUrl = URL.createObjectURL(new Blob([script], { type: 'text/javascript' }));
+        this.worker = new Worker(this.scriptUrl);
+        this.worker.onmessage = ({ data }) => this.settle(data);
+        // Uncaught errors mean the worker itself is broken: fail what's pending and fall back for good
+        this.worker.onerror = event => {
+            event.preventDefault();
+            const error = new Error(event.message || 'Analysis worker failed');
+            console.error('Analysis worker failed:', error.message);
+            this.stop(error);
+            this.startPromise = Promise.resolve(false);
+        };
+    }
+
+    // Engine settings and user pronunciations for the following requests; userLexicon is the plugin's
+    // UserLexicon and is read when the configuration is sent
+    configure(settings, userLexicon) {
+        this.configuration = { settings, userLexicon };
+    }
+
+    // Cleared only once posted: if reading the dictionaries fails, the next request tries again rather than
+    // reaching a worker that has no analyzer
+    async sendConfiguration() {
+        if (!this.configuration) return;
+        const configuration = this.configuration;
+        const { settings, userLexicon } = configuration;
+
+        await userLexicon.ensureLoaded();
+        const message = { type: 'configure', settings, userLexicon: userLexicon.serialize() };
+        if (!this.lexiconSent) {
+            message.lexicon = await Promise.resolve()
+                .then(() => this.readFile(LEXICON_FILE))
+                .catch(() => null);
+            this.lexiconSent = true;
+        }
+        if (this.worker) this.worker.postMessage(message);
+        if (this.configuration === configuration) this.configuration = null;
+    }
+
+    // Resolves with the analysis, like RhymeAnalyzer.analyze (or analyzeEnhanced when enhanced is set)
+    analyze(text, options = {}, enhanced = false) {
+        this.cancelPending();
+        const id = this.nextId++;
+        const result = new Promise((resolve, reject) => this.pending.set(id, { resolve, reject, sent: false }));
+
+        this.sending = this.sending
+            .then(() => this.sendConfiguration())
+            .then(() => {
+                const request = this.pending.get(id);
+                if (!request || !this.worker) return;
+                request.sent = true;
+                this.worker.postMessage({ type: 'analyze', id, text, options, enhanced });
+            })
+            .catch(error => this.settle({ type: 'error', id, message: error.message }));
+        return result;
+    }
+
+    cancelPending() {
+        for (const [id, request] of this.pending) {
+            if (request.sent && this.worker) this.worker.postMessage({ type: 'cancel', id });
+            request.reject(new AnalysisCancelledError());
+        }
+        this.pending.clear();
+    }
+
+    // Replies for requests that were already cancelled are dropped
+    settle({ type, id, analysis, message }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+
+        if (type === 'result') request.resolve(analysis);
+        else if (type === 'error') request.reject(new Error(message));
+        else request.reject(new AnalysisCancelledError());
+    }
+
+    // Shut the worker down; pending requests reject with error, or as cancelled when there is none
+    stop(error = null) {
+        for (const request of this.pending.values()) request.reject(error || new AnalysisCancelledError());
+        this.pending.clear();
+        if (this.worker) this.worker.terminate();
+        if (this.scriptUrl) URL.revokeObjectURL(this.scriptUrl);
+        this.worker = null;
+        this.scriptUrl = null;
+    }
+}
+
+// Export for use in main plugin
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnalysisWorker, serveAnalyses, WORKER_MODULES };
+}
@@ -3,6 +3,8 @@
  * Inspired by techniques from Eminem, Biggie, Tupac, Rakim, MF DOOM, Tech N9ne, and Snoop
  */
 
+const { tokenize, tokenizeLine } = require('./tokenizer.js');
+
 // Extended hip-hop specific phonetic dictionary
 const HIPHOP_CUSTOM_ARPA = {
     // Eminem-style compound words
@@ -77,55 +79,77 @@ class HipHopRhymeAnalyzer {
         this.baseAnalyzer = baseAnalyzer;
     }
     
-    // Detect internal rhymes within a single line (Rakim technique)
-    detectInternalRhymes(line) {
-        const words = line.split(/\s+/).filter(w => w.length > 2);
+    // Tokens of every line (shared tokenizer, so "night," and "night" are the same word)
+    // offset is where the text starts in its note; every token carries from/to note offsets
+    tokensByLine(text, offset = 0) {
+        const lines = text.split('\n').map(() => []);
+        for (const token of tokenize(text, offset)) {
+            lines[token.line].push(token);
+        }
+        return lines;
+    }
+    
+    // Detect internal rhymes within each line (Rakim technique)
+    detectInternalRhymes(text, offset = 0) {
         const internalRhymes = [];
         
-        for (let i = 0; i < words.length - 1; i++) {
-            for (let j = i + 1; j < words.length; j++) {
-                const phones1 = this.baseAnalyzer.wordToPhones(words[i]);
-                const phones2 = this.baseAnalyzer.wordToPhones(words[j]);
-                
-                if (this.checkPhoneticSimilarity(phones1, phones2) > 0.7) {
-                    internalRhymes.push({
-                        word1: words[i],
-                        word2: words[j],
-                        position1: i,
-                        position2: j,
-                        type: 'internal'
-                    });
+        this.tokensByLine(text, offset).forEach((lineTokens, line) => {
+            const words = lineTokens.filter(t => t.lower.length > 2);
+            
+            for (let i = 0; i < words.length - 1; i++) {
+                for (let j = i + 1; j < words.length; j++) {
+                    if (words[i].lower === words[j].lower) continue; // Repetition, not rhyme
+                    
+                    const phones1 = this.baseAnalyzer.wordToPhones(words[i].lower);
+                    const phones2 = this.baseAnalyzer.wordToPhones(words[j].lower);
+                    
+                    if (this.checkPhoneticSimilarity(phones1, phones2) > 0.7) {
+                        internalRhymes.push({
+                            word1: words[i].text,
+                            word2: words[j].text,
+                            position1: i,
+                            position2: j,
+                            from1: words[i].from,
+                            to1: words[i].to,
+                            from2: words[j].from,
+                            to2: words[j].to,
+                            line,
+                            type: 'internal'
+                        });
+                    }
                 }
             }
-        }
+        });
         
         return internalRhymes;
     }
     
     // Detect compound/mosaic rhymes (Eminem technique)
-    detectCompoundRhymes(text) {
-        const lines = text.split('\n');
+    detectCompoundRhymes(text, offset = 0) {
+        const lines = this.tokensByLine(text, offset);
         const compoundRhymes = [];
         
         for (let i = 0; i < lines.length; i++) {
-            const words = lines[i].split(/\s+/);
+            const words = lines[i];
             
             // Look for multi-word combinations that rhyme
             for (let j = 0; j < words.length - 1; j++) {
-                const compound = words[j] + words[j + 1];
+                const compound = words[j].lower + words[j + 1].lower;
                 const compoundPhones = this.baseAnalyzer.wordToPhones(compound);
                 
                 // Check against single words and other compounds
                 for (let k = i; k < Math.min(i + 4, lines.length); k++) {
-                    const targetWords = lines[k].split(/\s+/);
-                    
-                    for (const target of targetWords) {
-                        const targetPhones = this.baseAnalyzer.wordToPhones(target);
+                    for (const target of lines[k]) {
+                        const targetPhones = this.baseAnalyzer.wordToPhones(target.lower);
                         
                         if (this.checkPhoneticSimilarity(compoundPhones, targetPhones) > 0.8) {
                             compoundRhymes.push({
-                                compound: `${words[j]} ${words[j + 1]}`,
-                                target: target,
+                                compound: `${words[j].text} ${words[j + 1].text}`,
+                                target: target.text,
+                                from1: words[j].from,
+                                to1: words[j + 1].to,
+                                from2: target.from,
+                                to2: target.to,
                                 line1: i,
                                 line2: k,
                                 type: 'compound'
@@ -140,21 +164,21 @@ class HipHopRhymeAnalyzer {
     }
     
     // Detect multisyllabic rhyme chains (Big L, Big Pun technique)
-    detectMultisyllabicChains(text) {
-        const lines = text.split('\n');
+    detectMultisyllabicChains(text, offset = 0) {
+        const lines = this.tokensByLine(text, offset);
         const chains = [];
         
         for (let i = 0; i < lines.length - 1; i++) {
-            const line1Words = lines[i].split(/\s+/);
-            const line2Words = lines[i + 1].split(/\s+/);
+            const line1Words = lines[i];
+            const line2Words = lines[i + 1];
             
             // Look for sequences of 3+ syllables that rhyme
             for (let j = 0; j <= line1Words.length - 3; j++) {
-                const phrase1 = line1Words.slice(j, j + 3).join(' ');
+                const phrase1 = line1Words.slice(j, j + 3).map(t => t.text).join(' ');
                 const phones1 = this.getPhrasePhonemesFlat(phrase1);
                 
                 for (let k = 0; k <= line2Words.length - 3; k++) {
-                    const phrase2 = line2Words.slice(k, k + 3).join(' ');
+                    const phrase2 = line2Words.slice(k, k + 3).map(t => t.text).join(' ');
                     const phones2 = this.getPhrasePhonemesFlat(phrase2);
                     
                     const similarity = this.checkMultisyllabicSimilarity(phones1, phones2);
@@ -163,6 +187,10 @@ class HipHopRhymeAnalyzer {
                         chains.push({
                             phrase1,
                             phrase2,
+                            from1: line1Words[j].from,
+                            to1: line1Words[j + 2].to,
+                            from2: line2Words[k].from,
+                            to2: line2Words[k + 2].to,
                             line1: i,
                             line2: i + 1,
                             similarity,
@@ -181,17 +209,18 @@ class HipHopRhymeAnalyzer {
     }
     
     // Detect flow patterns and cadence (Tech N9ne chopper style)
-    analyzeFlowPattern(text) {
+    analyzeFlowPattern(text, offset = 0) {
         const lines = text.split('\n');
+        const tokens = this.tokensByLine(text, offset);
         const patterns = [];
+        let lineStart = offset;
         
-        for (const line of lines) {
-            const words = line.split(/\s+/);
+        lines.forEach((line, lineIndex) => {
             const stressPattern = [];
             let syllableCount = 0;
             
-            for (const word of words) {
-                const phones = this.baseAnalyzer.wordToPhones(word);
+            for (const token of tokens[lineIndex]) {
+                const phones = this.baseAnalyzer.wordToPhones(token.lower);
                 const [syllables, stressIndex] = this.baseAnalyzer.syllabify(phones);
                 
                 syllableCount += syllables.length;
@@ -204,23 +233,25 @@ class HipHopRhymeAnalyzer {
             
             patterns.push({
                 line,
+                from: lineStart,
+                to: lineStart + line.length,
                 syllableCount,
                 stressPattern,
                 tempo: this.estimateTempo(stressPattern),
                 style: this.classifyFlowStyle(stressPattern)
             });
-        }
+            lineStart += line.length + 1;
+        });
         
         return patterns;
     }
     
     // Helper: Get flat phoneme array for phrase
     getPhrasePhonemesFlat(phrase) {
-        const words = phrase.split(/\s+/);
         const allPhones = [];
         
-        for (const word of words) {
-            const phones = this.baseAnalyzer.wordToPhones(word);
+        for (const token of tokenizeLine(phrase)) {
+            const phones = this.baseAnalyzer.wordToPhones(token.lower);
             allPhones.push(...phones);
         }
         
@@ -242,15 +273,20 @@ class HipHopRhymeAnalyzer {
         // Calculate similarity based on nucleus and coda matching
         let similarity = 0;
         
+        // Rhyme keys are [nucleus, coda] pairs
+        const [nucleus1, coda1] = key1;
+        const [nucleus2, coda2] = key2;
+        
         // Exact nucleus match
-        if (key1.nucleus === key2.nucleus) {
+        if (nucleus1 === nucleus2) {
             similarity += 0.5;
-        } else if (key1.vowelFamily === key2.vowelFamily) {
+        } else if (this.baseAnalyzer.getVowelFamily(nucleus1.split('+').pop()) ===
+                   this.baseAnalyzer.getVowelFamily(nucleus2.split('+').pop())) {
             similarity += 0.3;
         }
         
         // Coda similarity
-        const codaSim = this.calculateCodaSimilarity(key1.coda, key2.coda);
+        const codaSim = this.calculateCodaSimilarity(coda1, coda2);
         similarity += codaSim * 0.5;
         
         return similarity;
@@ -395,11 +431,13 @@ class HipHopRhymeAnalyzer {
     }
     
     // Generate artist style profile based on analysis
-    generateArtistProfile(text) {
-        const internalRhymes = this.detectInternalRhymes(text);
-        const compoundRhymes = this.detectCompoundRhymes(text);
-        const multisyllabicChains = this.detectMultisyllabicChains(text);
-        const flowPatterns = this.analyzeFlowPattern(text);
+    // features holds passes already run on this text (internalRhymes, compoundRhymes, multisyllabicChains,
+    // flowPatterns), which are reused instead of detected again
+    generateArtistProfile(text, features = {}) {
+        const internalRhymes = features.internalRhymes || this.detectInternalRhymes(text);
+        const compoundRhymes = features.compoundRhymes || this.detectCompoundRhymes(text);
+        const multisyllabicChains = features.multisyllabicChains || this.detectMultisyllabicChains(text);
+        const flowPatterns = features.flowPatterns || this.analyzeFlowPattern(text);
         
         const profile = {
             internalRhymeDensity: internalRhymes.length / text.split('\n').length,
@@ -486,11 +524,13 @@ class HipHopRhymeAnalyzer {
     
     // Detect mosaic rhymes (multi-word phrases that rhyme - Eminem signature technique)
     // Examples: "orange" / "door hinge", "microphone check" / "might have gone wreck"
-    detectMosaicRhymes(text) {
-        const lines = text.split('\n');
+    // bounded keeps the UI responsive on the main thread: only the first 100 lines, and at most 20 results.
+    // The background worker passes false and gets every line and result
+    detectMosaicRhymes(text, offset = 0, bounded = true) {
+        const lines = this.tokensByLine(text, offset);
         const MAX_LINES = 100; // Performance guard
         
-        if (lines.length > MAX_LINES) {
+        if (bounded && lines.length > MAX_LINES) {
             console.warn(`Mosaic rhyme analysis limited to first ${MAX_LINES} lines for performance`);
             lines.splice(MAX_LINES);
         }
@@ -499,18 +539,13 @@ class HipHopRhymeAnalyzer {
         const phoneticCache = new Map(); // Cache phonetic conversions
         
         // Pre-compute phonetics for all words to avoid redundant calculations
-        const lineData = lines.map(line => {
-            const words = line.split(/\s+/).filter(w => w.length > 0);
-            return words.map(word => {
-                const key = word.toLowerCase().replace(/[^a-z']/g, '');
-                if (key.length === 0) return null;
-                
-                if (!phoneticCache.has(key)) {
-                    phoneticCache.set(key, this.baseAnalyzer.wordToPhones(key));
-                }
-                return { word, key, phonetics: phoneticCache.get(key) };
-            }).filter(w => w !== null);
-        });
+        const lineData = lines.map(tokens => tokens.map(token => {
+            const key = token.lower;
+            if (!phoneticCache.has(key)) {
+                phoneticCache.set(key, this.baseAnalyzer.wordToPhones(key));
+            }
+            return { word: token.text, key, phonetics: phoneticCache.get(key), from: token.from, to: token.to };
+        }));
         
         // Reduced search radius to prevent O(n³) explosion
         const SEARCH_RADIUS = 3;
@@ -540,6 +575,10 @@ class HipHopRhymeAnalyzer {
                             mosaicRhymes.push({
                                 singleWord: wordData.word,
                                 phrase: phrase,
+                                from1: wordData.from,
+                                to1: wordData.to,
+                                from2: lineData[k][l].from,
+                                to2: lineData[k][l + 1].to,
                                 line1: i,
                                 line2: k,
                                 similarity: mosaicMatch.similarity,
@@ -566,6 +605,10 @@ class HipHopRhymeAnalyzer {
                             mosaicRhymes.push({
                                 phrase1: phrase1,
                                 phrase2: phrase2,
+                                from1: lineData[i][0].from,
+                                to1: lineData[i][1].to,
+                                from2: lineData[k][0].from,
+                                to2: lineData[k][1].to,
                                 line1: i,
                                 line2: k,
                                 similarity: mosaicMatch.similarity,
@@ -577,7 +620,7 @@ class HipHopRhymeAnalyzer {
             }
         }
         
-        return mosaicRhymes.slice(0, 20); // Limit results to prevent UI overload
+        return bounded ? mosaicRhymes.slice(0, 20) : mosaicRhymes; // Limit results to prevent UI overload
     }
     
     // Analyze potential mosaic rhyme between a word/phrase and another word/phrase
@@ -611,15 +654,11 @@ class HipHopRhymeAnalyzer {
     
     // Get phonetic sequence for a word or phrase
     getPhrasePhonemes(phrase) {
-        const words = phrase.toLowerCase().split(/\s+/);
         const allPhonemes = [];
         
-        for (const word of words) {
-            const cleanWord = word.replace(/[^a-z']/g, '');
-            if (cleanWord.length > 0) {
-                const phonemes = this.baseAnalyzer.wordToPhones(cleanWord);
-                allPhonemes.push(...phonemes);
-            }
+        for (const token of tokenizeLine(phrase)) {
+            const phonemes = this.baseAnalyzer.wordToPhones(token.lower);
+            allPhonemes.push(...phonemes);
         }
         
         return allPhonemes;
@@ -0,0 +1,177 @@
+/* Rhyme Lab Pro - Inline Highlights
+ * CodeMirror 6 decorations that color rhyme and assonance groups in the editor, using the same classes
+ * as the results panel, with a hover tooltip on each highlighted word and a gutter showing each line's
+ * rhyme-scheme letter and syllable count. Obsidian provides @codemirror/view and @codemirror/state at
+ * runtime, so this ships as plain JavaScript without a bundling step
+ */
+
+const { EditorView, Decoration, GutterMarker, gutter, hoverTooltip } = require('@codemirror/view');
+const { MapMode, RangeSet, StateEffect, StateField } = require('@codemirror/state');
+
+// Replace every highlight with a new list of { from, to, className, wordIndex, describe } ranges, where
+// describe(wordIndex) returns the word's tooltip info when it is hovered
+const setRhymeRanges = StateEffect.define();
+// Replace the gutter with a new list of { pos, letter, className, syllables } line marks
+const setLineMarks = StateEffect.define();
+const clearRhymeRanges = StateEffect.define();
+
+// Highlights live in editor state, so they move with the text as the note is edited
+const rhymeField = StateField.define({
+    create() {
+        return Decoration.none;
+    },
+    update(decorations, tr) {
+        decorations = decorations.map(tr.changes);
+        for (const effect of tr.effects) {
+            if (effect.is(clearRhymeRanges)) decorations = Decoration.none;
+            if (effect.is(setRhymeRanges)) {
+                const length = tr.state.doc.length;
+                const marks = effect.value
+                    .filter(range => range.from < range.to && range.to <= length)
+                    .map(range => Decoration.mark({ class: range.className, wordIndex: range.wordIndex, describe: range.describe })
+                        .range(range.from, range.to));
+                decorations = Decoration.set(marks, true);
+            }
+        }
+        return decorations;
+    },
+    provide: field => EditorView.decorations.from(field)
+});
+
+// Scheme letter and syllable count for one line
+class LineMarker extends GutterMarker {
+    constructor(letter, className, syllables) {
+        super();
+        this.letter = letter;
+        this.className = className;
+        this.syllables = syllables;
+    }
+
+    eq(other) {
+        return other.letter === this.letter && other.className === this.className && other.syllables === this.syllables;
+    }
+
+    toDOM() {
+        const dom = createDiv('rhyme-gutter-mark');
+        const letter = dom.createSpan('rhyme-gutter-letter');
+        letter.setText(this.letter);
+        if (this.className) letter.addClass(this.className);
+        dom.createSpan('rhyme-gutter-syllables').setText(String(this.syllables));
+        return dom;
+    }
+}
+
+// Line marks sit at line starts. After an edit, a mark whose line lost its first character (a deleted
+// line) or no longer starts a line (a joined line) is dropped rather than moved onto a neighbour
+function mapLineMarks(marks, tr) {
+    const mapped = [];
+    marks.between(0, tr.startState.doc.length, (from, to, marker) => {
+        const pos = tr.changes.mapPos(from, -1, MapMode.TrackAfter);
+        if (pos !== null && tr.state.doc.lineAt(pos).from === pos) mapped.push(marker.range(pos));
+    });
+    return RangeSet.of(mapped);
+}
+
+const lineMarkField = StateField.define({
+    create() {
+        return RangeSet.empty;
+    },
+    update(marks, tr) {
+        if (tr.docChanged) marks = mapLineMarks(marks, tr);
+        for (const effect of tr.effects) {
+            if (effect.is(clearRhymeRanges)) marks = RangeSet.empty;
+            if (effect.is(setLineMarks)) {
+                const length = tr.state.doc.length;
+                marks = RangeSet.of(effect.value
+                    .filter(mark => mark.pos <= length)
+                    .map(mark => new LineMarker(mark.letter, mark.className, mark.syllables).range(mark.pos)), true);
+            }
+        }
+        return marks;
+    }
+});
+
+const schemeGutter = gutter({
+    class: 'rhyme-gutter',
+    markers: view => view.state.field(lineMarkField)
+});
+
+// Tooltip body: the word's phonetics, then the rest of its group with line and rhyme distance
+function renderTooltip(info) {
+    const dom = createDiv('rhyme-tooltip');
+    const title = dom.createDiv('rhyme-tooltip-title');
+    title.setText(info.text);
+    if (info.source && info.source !== info.text) title.createSpan('rhyme-word-source').setText(` (${info.source})`);
+
+    const rows = [
+        ['Phones', `[${info.phones}]`],
+        ['Syllables', info.syllables],
+        ['Stress', info.stressed],
+        ['Rhyme key', info.key],
+        ['Group', info.group]
+    ];
+    for (const [label, value] of rows) {
+        if (!value) continue;
+        const row = dom.createDiv('rhyme-tooltip-row');
+        row.createSpan('rhyme-tooltip-label').setText(label);
+        row.createSpan('rhyme-tooltip-value').setText(value);
+    }
+
+    if (info.partners.length > 0) {
+        const list = dom.createDiv('rhyme-tooltip-partners');
+        for (const partner of info.partners) {
+            const item = list.createDiv('rhyme-tooltip-partner');
+            item.createSpan('rhyme-tooltip-partner-word').setText(partner.text);
+            item.createSpan('rhyme-line-info').setText(` L${partner.line}`);
+            if (partner.distance !== null) {
+                item.createSpan('rhyme-tooltip-distance').setText(` d=${partner.distance.toFixed(2)}`);
+            }
+        }
+    }
+    return dom;
+}
+
+// Show the tooltip of the highlight under the pointer, described only now that it is hovered
+const rhymeTooltip = hoverTooltip((view, pos, side) => {
+    let found = null;
+    view.state.field(rhymeField).between(pos, pos, (from, to, decoration) => {
+        if ((from === pos && side < 0) || (to === pos && side > 0) || !decoration.spec.describe) return;
+        found = { from, to, spec: decoration.spec };
+        return false;
+    });
+    if (!found) return null;
+    const info = found.spec.describe(found.spec.wordIndex);
+    if (!info) return null;
+    return {
+        pos: found.from,
+        end: found.to,
+        above: true,
+        create: () => ({ dom: renderTooltip(info) })
+    };
+}, { hideOnChange: true });
+
+function createRhymeExtension() {
+    return [rhymeField, rhymeTooltip, lineMarkField, schemeGutter];
+}
+
+// The CM6 view behind an Obsidian editor, or null for the legacy editor
+function editorViewOf(editor) {
+    const view = editor && editor.cm;
+    return view && view.state && typeof view.dispatch === 'function' ? view : null;
+}
+
+function setHighlights(view, ranges, lineMarks = []) {
+    if (!view.state.field(rhymeField, false)) return false; // Extension not registered on this editor
+    view.dispatch({ effects: [setRhymeRanges.of(ranges), setLineMarks.of(lineMarks)] });
+    return true;
+}
+
+function clearHighlights(view) {
+    if (!view.state.field(rhymeField, false)) return;
+    view.dispatch({ effects: clearRhymeRanges.of(null) });
+}
+
+// Export for use in main plugin
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createRhymeExtension, editorViewOf, setHighlights, clearHighlights };
+}
@@ -1,792 +1,94 @@
-/* Rhyme Lab Pro - Complete Phonetic Analysis Engine
- * Advanced rhyme detection with multi-syllabic patterns, assonance, and slant rhymes
- * Direct port of Python rhyme analysis functionality to JavaScript
+/* Rhyme Lab Pro - Obsidian Plugin
+ * Commands, results panel, inline highlights and settings around the rhyme engine (rhyme-analyzer.js),
+ * which runs in a background worker when one can be started
  */
 
-const { Plugin, PluginSettingTab, Setting, Notice, ItemView, MarkdownView } = require('obsidian');
+const { Plugin, PluginSettingTab, Setting, Notice, ItemView, MarkdownView, Modal, getAllTags } = require('obsidian');
 
-// Import hip-hop enhancements (graceful fallback if not available)
-let HipHopRhymeAnalyzer = null;
-let HIPHOP_CUSTOM_ARPA = {};
+// Inline editor highlights need Obsidian's CodeMirror 6 modules
+let InlineHighlights = null;
 try {
-    const hipHopModule = require('./hip-hop-enhancements.js');
-    HipHopRhymeAnalyzer = hipHopModule.HipHopRhymeAnalyzer;
-    HIPHOP_CUSTOM_ARPA = hipHopModule.HIPHOP_CUSTOM_ARPA;
+    InlineHighlights = require('./inline-highlights.js');
 } catch (error) {
-    console.log('Hip-hop enhancements not available:', error.message);
+    console.log('Inline highlights not available:', error.message);
 }
 
-const VIEW_TYPE_RHYME_RESULTS = 'rhyme-results-view';
-
-// Core phonetic analysis constants derived from computational linguistics research
-const ARPA_VOWELS = new Set([
-    "AA", "AE", "AH", "AO", "AW", "AY", "EH", "ER", "EY", "IH", "IY", "OW", "OY", "UH", "UW"
-]);
+const { RhymeAnalyzer, AnalysisCancelledError, NUCLEUS_METRICS, CODA_METRICS } = require('./rhyme-analyzer.js');
+const { AnalysisWorker } = require('./analysis-worker.js');
+const { PronunciationLexicon, LEXICON_FILE } = require('./pronunciation-lexicon.js');
+const { UserLexicon, DEFAULT_USER_LEXICON_PATH } = require('./user-lexicon.js');
+const { tokenizeLine } = require('./tokenizer.js');
+const { ACCENT_PROFILES, DEFAULT_ACCENT, resolveAccentProfile } = require('./accent-profiles.js');
+const {
+    defaultPhoneticModel, normalizePhoneticModel, resolvePhoneticModel, parsePhoneticModel, serializePhoneticModel,
+    parsePhoneLines, formatPhoneLines
+} = require('./phonetic-model.js');
 
-// Vowel classification system groups similar-sounding vowels for assonance detection
-const VOWEL_CLASSES = {
-    "IY": "EE", "IH": "I", "EH": "E", "AE": "A", "AA": "AH", "AH": "UH", 
-    "AO": "OR", "OW": "O", "UH": "U", "UW": "OO", "EY": "AY", "AY": "EYE", 
-    "OY": "OY", "AW": "OW", "ER": "ER"
-};
+const VIEW_TYPE_RHYME_RESULTS = 'rhyme-results-view';
 
-// Consonant pairs that can substitute for each other in slant rhymes
-const CONSONANT_PAIRS = [
-    ["S", "Z"], ["F", "V"], ["T", "D"], ["K", "G"], ["P", "B"], 
-    ["SH", "ZH"], ["CH", "JH"], ["TH", "DH"], ["M", "N"]
-];
+// Words the panel's phonetic breakdown adds per animation frame
+const BREAKDOWN_WORDS_PER_FRAME = 250;
 
-// Common words excluded from rhyme analysis due to their ubiquity
-const STOP_WORDS = new Set([
-    "the", "and", "a", "an", "in", "on", "of", "is", "to", "for", "with", "that", 
-    "this", "these", "those", "are", "be", "i", "you", "he", "she", "it", "we", 
-    "they", "at", "from", "as", "by", "or", "if", "then", "but", "my", "me", 
-    "your", "our", "their", "his", "her", "im", "i'm", "ya", "'em", "em", 
-    "ain't", "aint", "uh", "yeah"
+// Settings the engine never reads; changing them keeps the analyzer and its caches
+const NON_ENGINE_SETTINGS = new Set([
+    'autoAnalyzeOnType', 'liveAnalysisTag', 'liveAnalysisFolders', 'liveAnalysisDelay', 'enableInlineHighlights'
 ]);
 
-// Unified phonetic dictionary combining traditional and hip-hop specific terms
-// Base dictionary for modern slang, contractions, and regional variations
-const BASE_CUSTOM_ARPA = {
-    "ya": ["Y", "AA1"], "yall": ["Y", "AO1", "L"], "y'all": ["Y", "AO1", "L"],
-    "gon": ["G", "AA1", "N"], "gonna": ["G", "AH1", "N", "AH0"],
-    "wanna": ["W", "AA1", "N", "AH0"], "bru": ["B", "R", "UW1"],
-    "'em": ["AH0", "M"], "em": ["AH0", "M"], "lekker": ["L", "EH1", "K", "ER0"],
-    "kak": ["K", "AA1", "K"], "finna": ["F", "IH1", "N", "AH0"],
-    "tryna": ["T", "R", "AY1", "N", "AH0"], "boutta": ["B", "AW1", "T", "AH0"],
-    "hella": ["HH", "EH1", "L", "AH0"], "ayy": ["EY1"], "bruh": ["B", "R", "AH1"],
-    "nah": ["N", "AA1"], "aight": ["AY1", "T"], "yo": ["Y", "OW1"],
-    "wassup": ["W", "AH1", "S", "AH0", "P"], "whatchu": ["W", "AH1", "CH", "UW0"],
-    "cuz": ["K", "AH1", "Z"], "homie": ["HH", "OW1", "M", "IY0"],
-    "thru": ["TH", "R", "UW1"], "tho": ["DH", "OW1"]
-};
-
-// Unified dictionary merging base and hip-hop specific terms
-const CUSTOM_ARPA = {
-    ...BASE_CUSTOM_ARPA,
-    ...HIPHOP_CUSTOM_ARPA  // Hip-hop terms override base where conflicts exist
-};
-
-// Sophisticated pattern recognition for grapheme-to-phoneme conversion
-// These patterns handle complex English spelling-to-sound relationships
-const VOWEL_PATTERNS = [
-    ["eigh", "EY"], ["ough", "AO"], ["augh", "AO"], ["eau", "OW"], ["igh", "AY"],
-    ["oi", "OY"], ["oy", "OY"], ["ow", "AW"], ["ou", "AW"], ["ai", "EY"], 
-    ["ay", "EY"], ["ey", "EY"], ["ea", "IY"], ["ee", "IY"], ["ie", "IY"], 
-    ["oa", "OW"], ["oo", "UW"], ["eu", "UW"], ["au", "AO"], ["aw", "AO"], 
-    ["ur", "ER"], ["ir", "ER"], ["er", "ER"], ["ar", "AA"], ["or", "AO"]
-];
-
-const CONSONANT_DIGRAPHS = {
-    "ch": "CH", "sh": "SH", "th": "TH", "ph": "F", "wh": "W", "gh": "G", 
-    "ng": "NG", "qu": "KW", "ck": "K", "kn": "N", "wr": "R", "ps": "S"
-};
-
-const SIMPLE_VOWELS = {
-    "a": "AE", "e": "EH", "i": "IH", "o": "AO", "u": "AH", "y": "IH"
-};
+// Text fields save once typing pauses rather than on every keystroke
+const SETTINGS_SAVE_DELAY = 500;
 
-const CONSONANT_MAP = {
-    'b': 'B', 'c': 'K', 'd': 'D', 'f': 'F', 'g': 'G', 'h': 'HH',
-    'j': 'JH', 'k': 'K', 'l': 'L', 'm': 'M', 'n': 'N', 'p': 'P',
-    'q': 'K', 'r': 'R', 's': 'S', 't': 'T', 'v': 'V', 'w': 'W', 'x': 'K', 'z': 'Z'
-};
-
-// Core rhyme analysis engine - this class handles the computational linguistics
-function maybeEnableCM6(plugin) {
-  try {
-    const cm6 = window.RhymeLabCM6;
-    if (!cm6 || !plugin || !plugin.registerEditorExtension) return;
-    plugin.registerEditorExtension(cm6.createRhymeExtension());
-    plugin._setHighlights = (view, ranges) => cm6.setHighlights(view, ranges);
-  } catch (_) { /* no-op */ }
+// Panel color class for a wordToGroup entry; assonance ids follow the rhyme group ids
+function groupClass(analysis, groupId, type) {
+    return type === 'rhyme'
+        ? `rhyme-group-${groupId % 8}`
+        : `assonance-group-${(groupId - analysis.groups.length) % 4}`;
 }
 
-class RhymeAnalyzer {
-    constructor(settings) {
-        this.settings = settings;
-        this.buildConsonantEquivalence();
-        
-        // Initialize hip-hop analyzer if available and enabled
-        this.hipHopAnalyzer = null;
-        if (HipHopRhymeAnalyzer && settings.enableHipHopFeatures) {
-            try {
-                this.hipHopAnalyzer = new HipHopRhymeAnalyzer(this);
-            } catch (error) {
-                console.warn('Failed to initialize hip-hop analyzer:', error.message);
-            }
-        }
-    }
-
-    // Build phonetic equivalence mapping for consonant substitution detection
-    buildConsonantEquivalence() {
-        this.consonantEquivalence = new Map();
-        for (const [a, b] of CONSONANT_PAIRS) {
-            if (!this.consonantEquivalence.has(a)) this.consonantEquivalence.set(a, new Set());
-            if (!this.consonantEquivalence.has(b)) this.consonantEquivalence.set(b, new Set());
-            this.consonantEquivalence.get(a).add(b);
-            this.consonantEquivalence.get(b).add(a);
-        }
-    }
-
-    // Normalize word input by removing punctuation while preserving contractions
-    cleanWord(word) {
-        // Input validation to prevent ReDoS
-        if (typeof word !== 'string') {
-            return '';
-        }
-        
-        if (word.length > 100) {
-            console.warn('Word length exceeds safety limit, truncating');
-            word = word.substring(0, 100);
-        }
-        
-        // Fixed: removed double backslash to properly match word characters
-        return word.toLowerCase()
-            .replace(/[^\w']/g, '')
-            .trim();
-    }
-
-    // Advanced grapheme-to-phoneme conversion using pattern recognition
-    // This function converts written letters into phonetic representations
-    g2pHeuristic(word) {
-        const w = word.toLowerCase();
-        const phones = [];
-        let i = 0;
-        let stressed = false; // Track if we've assigned primary stress yet
-
-        while (i < w.length) {
-            let matched = false;
-
-            // First priority: complex vowel patterns (eigh, ough, etc.)
-            for (const [pattern, phoneme] of VOWEL_PATTERNS) {
-                if (w.substr(i, pattern.length) === pattern) {
-                    const stress = !stressed ? "1" : "0"; // Primary stress on first vowel
-                    phones.push(phoneme + stress);
-                    stressed = true;
-                    i += pattern.length;
-                    matched = true;
-                    break;
-                }
-            }
-
-            if (matched) continue;
-
-            // Second priority: consonant digraphs (ch, sh, th, etc.)
-            for (const [digraph, phoneme] of Object.entries(CONSONANT_DIGRAPHS)) {
-                if (w.substr(i, digraph.length) === digraph) {
-                    phones.push(phoneme);
-                    i += digraph.length;
-                    matched = true;
-                    break;
-                }
-            }
-
-            if (matched) continue;
-
-            const ch = w[i];
-
-            // Handle individual vowels with stress assignment
-            if ('aeiouy'.includes(ch)) {
-                const phoneme = SIMPLE_VOWELS[ch] || "AH";
-                const stress = !stressed ? "1" : "0";
-                phones.push(phoneme + stress);
-                stressed = true;
-            } else {
-                // Handle individual consonants
-                const phoneme = CONSONANT_MAP[ch];
-                if (phoneme) phones.push(phoneme);
-            }
-
-            i++;
-        }
-
-        // Clean up the phoneme sequence by removing empty entries and duplicate consonants
-        const filtered = phones.filter(p => p);
-        const result = [];
-        for (const phone of filtered) {
-            // Avoid duplicate consonants unless they're vowels (which can repeat for emphasis)
-            if (result.length === 0 || result[result.length - 1] !== phone || 
-                ARPA_VOWELS.has(this.normalizePhone(phone))) {
-                result.push(phone);
-            }
-        }
-
-        return result;
-    }
-
-    // Convert word to phonetic representation using best available method
-    wordToPhones(word) {
-        const cleaned = this.cleanWord(word);
-        // Check custom dictionary first for known exceptions and slang
-        if (CUSTOM_ARPA[cleaned]) return [...CUSTOM_ARPA[cleaned]];
-        // Fall back to heuristic conversion for unknown words
-        return this.g2pHeuristic(cleaned);
-    }
-
-    // Split phoneme sequence into syllables and identify stress patterns
-    // Syllables are fundamental units for rhyme analysis
-    syllabify(phones) {
-        const syllables = [];
-        let current = [];
-        let stressIndex = null;
-
-        for (const phone of phones) {
-            const base = this.normalizePhone(phone);
-            
-            // Vowels mark syllable boundaries and carry stress information
-            if (ARPA_VOWELS.has(base)) {
-                if (current.length > 0) {
-                    syllables.push(current);
-                }
-                current = [phone];
-                // Check for primary stress marker
-                if (phone.endsWith("1")) {
-                    stressIndex = syllables.length;
-                }
-            } else {
-                // Consonants attach to the current syllable
-                current.push(phone);
-            }
-        }
-
-        if (current.length > 0) {
-            syllables.push(current);
-        }
-
-        // Default to final syllable stress if no explicit stress found
-        if (stressIndex === null && syllables.length > 0) {
-            stressIndex = syllables.length - 1;
-        }
-
-        return [syllables, stressIndex];
-    }
-
-    // Remove stress and tone markers from phonemes for comparison
-    normalizePhone(phone) {
-        return phone.replace(/\\d/g, '');
-    }
-
-    // Normalize consonant clusters for more flexible rhyme matching
-    normalizeCoda(coda) {
-        // Map voiced consonants to their unvoiced equivalents for slant rhyme detection
-        const fold = {
-            "Z": "S", "V": "F", "D": "T", "G": "K", "B": "P", 
-            "ZH": "SH", "JH": "CH", "DH": "TH"
-        };
-
-        let result = coda.map(c => fold[this.normalizePhone(c)] || this.normalizePhone(c));
-        
-        // Remove trailing aspiration which doesn't affect rhyme perception
-        if (result.length > 0 && result[result.length - 1] === "HH") {
-            result = result.slice(0, -1);
-        }
-
-        return result;
-    }
-
-    // Group vowels into families for assonance detection
-    getVowelFamily(vowel) {
-        const families = [
-            new Set(["EE", "I", "E"]),           // Front vowels
-            new Set(["A", "AH", "ER", "UH"]),    // Central vowels  
-            new Set(["O", "OR", "OO", "U"]),     // Back vowels
-            new Set(["EYE", "OW", "OY", "AY"])   // Diphthongs
-        ];
-
-        for (let i = 0; i < families.length; i++) {
-            if (families[i].has(vowel)) {
-                return i;
-            }
-        }
-        return 9; // Unknown family
-    }
-
-    // Extract the rhyme key (nucleus + coda) from syllable structure
-    // This is the core unit used for rhyme comparison
-    getRhymeKey(syllables, stressIndex) {
-        if (syllables.length === 0) return null;
-
-        const index = stressIndex !== null ? stressIndex : syllables.length - 1;
-        const clampedIndex = Math.max(0, Math.min(index, syllables.length - 1));
-
-        // Extract nucleus (vowel) and coda (following consonants) from syllable
-        const extractNucleusAndCoda = (syllable) => {
-            let nucleus = null;
-            const coda = [];
-
-            for (const phone of syllable) {
-                const base = this.normalizePhone(phone);
-                if (ARPA_VOWELS.has(base)) {
-                    nucleus = VOWEL_CLASSES[base] || base;
-                } else if (nucleus !== null) {
-                    coda.push(base);
-                }
-            }
-
-            return [nucleus, coda];
-        };
-
-        const [nucleus, coda] = extractNucleusAndCoda(syllables[clampedIndex]);
-        let finalNucleus = nucleus;
-        let finalCoda = [...coda];
-
-        // For weak codas, include the previous syllable to capture more of the rhyme
-        // This handles cases like "running" and "coming" where the rhyme spans syllables
-        const weakCodeas = new Set([["S"], ["Z"], ["R"], ["L"], ["T"], ["D"], ["N"], ["M"]]);
-        const codaKey = JSON.stringify(coda);
-        const isWeakCoda = coda.length <= 1 || Array.from(weakCodeas).some(weak => 
-            JSON.stringify(weak) === codaKey
-        );
-
-        if (isWeakCoda && clampedIndex > 0) {
-            const [prevNucleus, prevCoda] = extractNucleusAndCoda(syllables[clampedIndex - 1]);
-            if (prevNucleus) {
-                finalNucleus = prevNucleus + "+" + (nucleus || "");
-            }
-            finalCoda = [...prevCoda, ...coda];
-        }
-
-        return finalNucleus ? [finalNucleus, this.normalizeCoda(finalCoda)] : null;
-    }
-
-    // Generate multi-syllabic rhyme keys for complex rhyme patterns
-    getMultisyllabicKey(syllables, tail) {
-        if (syllables.length === 0 || tail <= 0) return null;
-
-        const actualTail = Math.min(tail, syllables.length);
-        const keyParts = [];
-
-        // Collect phonemes from the last 'tail' syllables
-        for (let i = syllables.length - actualTail; i < syllables.length; i++) {
-            for (const phone of syllables[i]) {
-                const base = this.normalizePhone(phone);
-                if (ARPA_VOWELS.has(base)) {
-                    keyParts.push(VOWEL_CLASSES[base] || base);
-                } else {
-                    keyParts.push(base);
-                }
-            }
-        }
-
-        return keyParts.length > 0 ? keyParts.join("-") : null;
-    }
-
-    // Calculate phonetic distance between vowel nuclei
-    nucleusDistance(n1, n2) {
-        if (n1 === n2) return 0.0; // Perfect match
-
-        // Handle compound nuclei by comparing the final vowel
-        const a = n1.split("+").pop() || n1;
-        const b = n2.split("+").pop() || n2;
-
-        if (a === b) return 0.05; // Very close match
-
-        // Check if vowels belong to the same phonetic family
-        if (this.getVowelFamily(a) === this.getVowelFamily(b)) {
-            return 0.25; // Same family, moderate similarity
-        }
-
-        return 0.6; // Different families, low similarity
-    }
-
-    // Calculate phonetic distance between consonant codas
-    codaDistance(c1, c2) {
-        if (JSON.stringify(c1) === JSON.stringify(c2)) return 0.0; // Perfect match
-        if (c1.length === 0 || c2.length === 0) return 0.6; // One empty coda
-
-        const minLength = Math.min(c1.length, c2.length);
-        let mismatches = 0;
-
-        // Compare consonants from the end (most important for rhyme perception)
-        for (let i = 0; i < minLength; i++) {
-            const a = c1[c1.length - 1 - i];
-            const b = c2[c2.length - 1 - i];
-            
-            // Check for exact match or equivalent consonants
-            if (a === b || (this.consonantEquivalence.get(a)?.has(b) ?? false)) {
-                continue;
-            }
-            mismatches++;
-        }
-
-        // Penalize length differences
-        mismatches += Math.abs(c1.length - c2.length) * 0.5;
-        return Math.min(1.0, mismatches * 0.35);
-    }
-
-    // Calculate overall rhyme distance combining nucleus and coda similarities
-    rhymeDistance(k1, k2) {
-        // Weight nucleus more heavily than coda for rhyme perception
-        return 0.7 * this.nucleusDistance(k1[0], k2[0]) + 0.3 * this.codaDistance(k1[1], k2[1]);
-    }
-
-    // Detect assonance (vowel sound repetition) between words
-    detectAssonance(w1, w2) {
-        if (w1.syllables.length === 0 || w2.syllables.length === 0) return false;
-
-        const getStressedVowel = (word) => {
-            const stressIndex = word.stress !== null ? word.stress : word.syllables.length - 1;
-            if (stressIndex >= 0 && stressIndex < word.syllables.length) {
-                for (const phone of word.syllables[stressIndex]) {
-                    const base = this.normalizePhone(phone);
-                    if (ARPA_VOWELS.has(base)) {
-                        return VOWEL_CLASSES[base] || base;
-                    }
-                }
-            }
-            return null;
-        };
-
-        const v1 = getStressedVowel(w1);
-        const v2 = getStressedVowel(w2);
-
-        return v1 !== null && v2 !== null && 
-               (v1 === v2 || this.getVowelFamily(v1) === this.getVowelFamily(v2));
-    }
-
-    // Check if a word appears at the end of its line
-    isLineEnd(wordIndex, words) {
-        const line = words[wordIndex].line;
-        for (let i = wordIndex + 1; i < words.length; i++) {
-            if (words[i].line !== line) return true; // next word is on a new line
-            if (words[i].line === line) return false; // found a later word on same line
-        }
-        return true; // last word overall
-    }
-        }
-        return true;
-    }
-
-    // Build traditional rhyme scheme notation (AABA, etc.)
-    buildScheme(words, wordToGroup) {
-        const maxLine = Math.max(...words.map(w => w.line), -1);
-        const groupIdToLetter = {};
-        let nextCharCode = 65; // Start with 'A'
-        const sequence = [];
-
-        for (let line = 0; line <= maxLine; line++) {
-            let lastWordIndex = null;
-            
-            // Find the last word on this line
-            for (let i = words.length - 1; i >= 0; i--) {
-                if (words[i].line === line) {
-                    lastWordIndex = i;
-                    break;
-                }
-            }
-
-            if (lastWordIndex === null) {
-                sequence.push("-");
-                continue;
-            }
-
-            const groups = wordToGroup[lastWordIndex] || [];
-            if (groups.length === 0) {
-                sequence.push("-");
-                continue;
-            }
-
-            const groupId = groups[0][0];
-            if (!(groupId in groupIdToLetter)) {
-                groupIdToLetter[groupId] = String.fromCharCode(nextCharCode++);
-            }
-
-            sequence.push(groupIdToLetter[groupId]);
-        }
-
-        return sequence.join("");
-    }
-
-    // Main analysis function that processes text and returns comprehensive rhyme data
-    async analyze(text) {
-        const lines = text.split('\\n');
-        const words = [];
-
-        // Extract and process words from each line
-        for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
-            const line = lines[lineIndex];
-            const wordMatches = Array.from(line.matchAll(/[A-Za-z']+/g));
-            
-            for (const match of wordMatches) {
-                const word = match[0];
-                const cleaned = this.cleanWord(word);
-
-                // Skip common stop words unless they're emphasized
-                if (STOP_WORDS.has(cleaned) && cleaned.length <= 2) {
-                    continue;
-                }
-
-                const phones = this.wordToPhones(cleaned);
-                const [syllables, stress] = this.syllabify(phones);
-
-                words.push({
-                    line: lineIndex,
-                    text: word,
-                    lower: cleaned,
-                    phones,
-                    syllables,
-                    stress,
-                    position: match.index || 0
-                });
-            }
-        }
-
-        // Build rhyme spans - these represent potential rhyme units
-        const spans = [];
-        for (let i = 0; i < words.length; i++) {
-            const word = words[i];
-            const key = this.getRhymeKey(word.syllables, word.stress);
-            
-            if (key) {
-                const stressIndex = word.stress !== null ? word.stress : word.syllables.length - 1;
-                const tail = Math.max(1, word.syllables.length - stressIndex);
-
-                // Extract multi-syllabic patterns for sophisticated rhyme detection
-                const multiKeys = {};
-                for (let t = 2; t < Math.min(4, word.syllables.length + 1); t++) {
-                    const multiKey = this.getMultisyllabicKey(word.syllables, t);
-                    if (multiKey) {
-                        multiKeys[t] = multiKey;
-                    }
-                }
-
-                spans.push({
-                    wordIndex: i,
-                    line: word.line,
-                    key,
-                    tail,
-                    multiKeys
-                });
-            }
-        }
-
-        // Group rhymes using sophisticated pattern matching
-        const groups = [];
-        const used = new Array(spans.length).fill(false);
-
-        // First pass: detect perfect and multi-syllabic rhymes
-        for (let i = 0; i < spans.length; i++) {
-            if (used[i]) continue;
-
-            const groupIndices = [i];
-            used[i] = true;
-
-            for (let j = i + 1; j < spans.length; j++) {
-                if (used[j]) continue;
-
-                // Skip identical words (not rhymes, just repetition)
-                if (words[spans[i].wordIndex].lower === words[spans[j].wordIndex].lower) {
-                    continue;
-                }
-
-                // Prioritize multi-syllabic matches (more sophisticated rhymes)
-                let matched = false;
-                for (const tail of [3, 2]) {
-                    if (spans[i].multiKeys[tail] && spans[j].multiKeys[tail] && 
-                        spans[i].multiKeys[tail] === spans[j].multiKeys[tail]) {
-                        groupIndices.push(j);
-                        used[j] = true;
-                        matched = true;
-                        break;
-                    }
-                }
-
-                if (matched) continue;
-
-                // Check regular rhyme distance
-                const distance = this.rhymeDistance(spans[i].key, spans[j].key);
-                
-                // Apply dynamic thresholds based on word position
-                const isLineEndI = this.isLineEnd(spans[i].wordIndex, words);
-                const isLineEndJ = this.isLineEnd(spans[j].wordIndex, words);
-                
-                let threshold;
-                if (isLineEndI && isLineEndJ) {
-                    threshold = this.settings.perfectThreshold; // Strictest for end rhymes
-                } else if (isLineEndI || isLineEndJ) {
-                    threshold = (this.settings.perfectThreshold + this.settings.slantThreshold) / 2;
-                } else {
-                    threshold = this.settings.slantThreshold; // Most lenient for internal rhymes
-                }
-
-                if (distance <= threshold) {
-                    groupIndices.push(j);
-                    used[j] = true;
-                }
-            }
-
-            // Only create groups with multiple members
-            if (groupIndices.length >= 2) {
-                groups.push({
-                    spans: groupIndices.map(idx => spans[idx]),
-                    type: 'rhyme'
-                });
-            }
-        }
-
-        // Detect assonance groups if enabled
-        const assonanceGroups = [];
-        if (this.settings.highlightAssonance) {
-            const assonanceUsed = new Array(words.length).fill(false);
-
-            for (let i = 0; i < words.length; i++) {
-                if (assonanceUsed[i] || STOP_WORDS.has(words[i].lower)) continue;
-
-                const group = [i];
-                assonanceUsed[i] = true;
-
-                for (let j = i + 1; j < words.length; j++) {
-                    if (assonanceUsed[j] || STOP_WORDS.has(words[j].lower)) continue;
-                    if (words[j].lower === words[i].lower) continue;
-
-                    if (this.detectAssonance(words[i], words[j])) {
-                        group.push(j);
-                        assonanceUsed[j] = true;
-                    }
-                }
-
-                // Require at least 3 words for a meaningful assonance group
-                if (group.length >= 3) {
-                    assonanceGroups.push(group);
-                }
-            }
-        }
-
-        // Build comprehensive word-to-group mapping
-        const wordToGroup = {};
-
-        groups.forEach((group, groupId) => {
-            group.spans.forEach(span => {
-                if (!wordToGroup[span.wordIndex]) {
-                    wordToGroup[span.wordIndex] = [];
-                }
-                wordToGroup[span.wordIndex].push([groupId, span.tail, 'rhyme']);
-            });
-        });
-
-        assonanceGroups.forEach((group, assonanceId) => {
-            group.forEach(wordIndex => {
-                if (!wordToGroup[wordIndex]) {
-                    wordToGroup[wordIndex] = [];
-                }
-                wordToGroup[wordIndex].push([groups.length + assonanceId, 1, 'assonance']);
-            });
-        });
-
-        // Detect internal rhymes within individual lines
-        const internalRhymes = {};
-        if (this.settings.showInternalRhymes) {
-            for (let lineIndex = 0; lineIndex <= Math.max(...words.map(w => w.line), -1); lineIndex++) {
-                const lineWords = words.map((w, i) => [i, w]).filter(([_, w]) => w.line === lineIndex);
-                const pairs = [];
-
-                for (let i = 0; i < lineWords.length; i++) {
-                    for (let j = i + 1; j < lineWords.length; j++) {
-                        const [wi1, w1] = lineWords[i];
-                        const [wi2, w2] = lineWords[j];
-
-                        if (w1.lower === w2.lower) continue;
-
-                        const k1 = this.getRhymeKey(w1.syllables, w1.stress);
-                        const k2 = this.getRhymeKey(w2.syllables, w2.stress);
-
-                        if (k1 && k2 && this.rhymeDistance(k1, k2) <= this.settings.slantThreshold) {
-                            pairs.push([wi1, wi2]);
-                        }
-                    }
-                }
-
-                if (pairs.length > 0) {
-                    internalRhymes[lineIndex] = pairs;
-                }
-            }
-        }
-
-        // Calculate comprehensive metrics
-        const totalSyllables = words.reduce((sum, w) => sum + w.syllables.length, 0);
-        const rhymingSyllables = words.reduce((sum, _, i) => {
-            const maxTail = Math.max(...(wordToGroup[i] || [[0, 0]]).map(([_, tail]) => tail), 0);
-            return sum + maxTail;
-        }, 0);
-        const multiSyllables = Object.values(wordToGroup).reduce((sum, groups) => {
-            return sum + groups.reduce((groupSum, [_, tail]) => groupSum + (tail >= 2 ? tail : 0), 0);
-        }, 0);
-
-        const linesWithRhymes = {};
-        Object.entries(wordToGroup).forEach(([wordIndexStr, groups]) => {
-            const wordIndex = parseInt(wordIndexStr);
-            const line = words[wordIndex].line;
-            const maxTail = Math.max(...groups.map(([_, tail]) => tail));
-            linesWithRhymes[line] = (linesWithRhymes[line] || 0) + maxTail;
-        });
-
-        const avgPerLine = Object.keys(linesWithRhymes).length > 0 
-            ? Object.values(linesWithRhymes).reduce((a, b) => a + b, 0) / Object.keys(linesWithRhymes).length 
-            : 0;
-
-        const density = totalSyllables > 0 ? rhymingSyllables / totalSyllables : 0;
-        const multiRatio = rhymingSyllables > 0 ? multiSyllables / rhymingSyllables : 0;
-        const scheme = this.buildScheme(words, wordToGroup);
+// Editor ranges for an analysis, colored like the panel: a word's first rhyme group, else its assonance group
+// Spelled-out words share their source characters ("$100"), so each span is highlighted once
+// Each range carries its word index and describe(wordIndex), which builds the hover tooltip only when the
+// word is hovered; firstLine is the editor line number of the analysis's first line
+function highlightRanges(analysis, analyzer, firstLine = 1) {
+    const ranges = [];
+    const seen = new Set();
+    const describe = wordIndex => {
+        const tooltip = analyzer.describeWord(analysis, wordIndex);
+        tooltip.partners.forEach(partner => { partner.line += firstLine; });
+        return tooltip;
+    };
+
+    analysis.words.forEach((word, index) => {
+        const groups = analysis.wordToGroup[index] || [];
+        const rhyme = groups.find(([, , type]) => type === 'rhyme');
+        const assonance = groups.find(([, , type]) => type === 'assonance');
+        const key = `${word.from}:${word.to}`;
+        if ((!rhyme && !assonance) || seen.has(key)) return;
+        seen.add(key);
+
+        const [groupId, , type] = rhyme || assonance;
+        const className = groupClass(analysis, groupId, type);
+        ranges.push({ from: word.from, to: word.to, className: `rhyme-inline ${className}`, wordIndex: index, describe });
+    });
+
+    return ranges;
+}
 
-        const rhymeTypes = {};
-        Object.values(wordToGroup).forEach(groups => {
-            groups.forEach(([_, __, type]) => {
-                rhymeTypes[type] = (rhymeTypes[type] || 0) + 1;
-            });
+// Gutter marks for an analysis: each line's scheme letter (colored by its group) and syllable count
+// Lines without words get no mark
+function gutterLines(analysis, doc, firstLine = 1) {
+    const marks = [];
+    analysis.lineSyllables.forEach((syllables, lineIndex) => {
+        const scheme = analysis.schemeLines[lineIndex];
+        const lineNumber = firstLine + lineIndex;
+        if ((!scheme && syllables === 0) || lineNumber > doc.lines) return;
+        marks.push({
+            pos: doc.line(lineNumber).from,
+            letter: scheme ? scheme.letter : '-',
+            className: scheme ? groupClass(analysis, scheme.groupId, scheme.type) : '',
+            syllables
         });
-
-        return {
-            lines,
-            words,
-            spans,
-            groups,
-            assonanceGroups,
-            internalRhymes,
-            wordToGroup,
-            metrics: {
-                totalSyllables,
-                rhymingSyllables,
-                density,
-                multiRatio,
-                avgPerLine,
-                scheme,
-                rhymeTypes,
-                uniqueRhymeGroups: groups.length,
-                uniqueAssonanceGroups: assonanceGroups.length
-            }
-        };
-    }
-
-    // Enhanced analysis method that includes hip-hop features
-    // Returns the same format as analyze() but with additional hipHop section
-    async analyzeEnhanced(text) {
-        // Get standard analysis first
-        const standardAnalysis = await this.analyze(text);
-        
-        // Add hip-hop analysis if available
-        if (this.hipHopAnalyzer) {
-            try {
-                const hipHopFeatures = {
-                    internalRhymes: this.hipHopAnalyzer.detectInternalRhymes(text),
-                    compoundRhymes: this.hipHopAnalyzer.detectCompoundRhymes(text),
-                    multisyllabicChains: this.hipHopAnalyzer.detectMultisyllabicChains(text),
-                    mosaicRhymes: this.hipHopAnalyzer.detectMosaicRhymes(text),
-                    flowPatterns: this.hipHopAnalyzer.analyzeFlowPattern(text),
-                    artistProfile: this.hipHopAnalyzer.generateArtistProfile(text)
-                };
-                
-                // Add hip-hop data to standard analysis
-                standardAnalysis.hipHop = hipHopFeatures;
-                
-            } catch (error) {
-                console.warn('Hip-hop analysis failed:', error.message);
-                // Continue with standard analysis even if hip-hop fails
-            }
-        }
-        
-        return standardAnalysis;
-    }
+    });
+    return marks;
 }
 
 // Results view component for displaying analysis in Obsidian sidebar
@@ -826,40 +128,77 @@ class RhymeResultsView extends ItemView {
         this.renderAnalysis();
     }
     
-    // Render comprehensive analysis results
+    // Render comprehensive analysis results, a section per animation frame: a long note's panel holds
+    // tens of thousands of elements, and live analysis redraws it whenever typing pauses. A newer
+    // analysis stops a render that hasn't finished
     renderAnalysis() {
-        if (!this.currentAnalysis) {
+        const analysis = this.currentAnalysis;
+        if (!analysis) {
             this.renderEmpty();
             return;
         }
 
         this.contentEl.empty();
+        const sections = [];
         
         // Render metrics overview
-        this.renderMetrics();
+        sections.push(() => this.renderMetrics());
         
         // Render rhyme groups
-        if (this.currentAnalysis.groups.length > 0) {
-            this.renderRhymeGroups();
+        if (analysis.groups.length > 0) {
+            sections.push(() => this.renderRhymeGroups());
+        }
+        
+        // Render assonance, alliteration and consonance groups if present
+        if (analysis.assonanceGroups.length > 0) {
+            sections.push(() => this.renderSoundGroups('Assonance', analysis.assonanceGroups, 'assonance'));
+        }
+        if (analysis.alliterationGroups && analysis.alliterationGroups.length > 0) {
+            sections.push(() => this.renderSoundGroups('Alliteration', analysis.alliterationGroups, 'alliteration'));
+        }
+        if (analysis.consonanceGroups && analysis.consonanceGroups.length > 0) {
+            sections.push(() => this.renderSoundGroups('Consonance', analysis.consonanceGroups, 'consonance'));
         }
         
-        // Render assonance groups if present
-        if (this.currentAnalysis.assonanceGroups.length > 0) {
-            this.renderAssonanceGroups();
+        // Render repeated line endings, openings and refrains if present
+        const repetitions = analysis.repetitions;
+        if (repetitions && (repetitions.lineEnds.length || repetitions.openings.length || repetitions.refrains.length)) {
+            sections.push(() => this.renderRepetitions());
         }
         
         // Render internal rhymes if present
-        if (Object.keys(this.currentAnalysis.internalRhymes).length > 0) {
-            this.renderInternalRhymes();
+        if (Object.keys(analysis.internalRhymes).length > 0) {
+            sections.push(() => this.renderInternalRhymes());
+        }
+        
+        // Render vowel multis if present
+        if (analysis.vowelMultis && analysis.vowelMultis.length > 0) {
+            sections.push(() => this.renderVowelMultis());
+        }
+        
+        // Render Spanish asonante/consonante pairs if present
+        if (analysis.spanishRhymes && analysis.spanishRhymes.length > 0) {
+            sections.push(() => this.renderSpanishRhymes());
         }
         
         // Render hip-hop features if present
-        if (this.currentAnalysis.hipHop) {
-            this.renderHipHopFeatures();
+        if (analysis.hipHop) {
+            sections.push(() => this.renderHipHopFeatures());
+        }
+        
+        // Render detailed word breakdown, a slice of the words at a time
+        let wordsContainer = null;
+        sections.push(() => { wordsContainer = this.renderWordBreakdown(); });
+        for (let from = 0; from < analysis.words.length; from += BREAKDOWN_WORDS_PER_FRAME) {
+            sections.push(() => this.renderWordDetails(wordsContainer, from, from + BREAKDOWN_WORDS_PER_FRAME));
         }
         
-        // Render detailed word breakdown
-        this.renderWordBreakdown();
+        const renderNext = () => {
+            if (this.currentAnalysis !== analysis) return;
+            sections.shift()();
+            if (sections.length > 0) window.requestAnimationFrame(renderNext);
+        };
+        renderNext();
     }
     
     // Display key metrics in an organized grid
@@ -876,6 +215,27 @@ class RhymeResultsView extends ItemView {
         this.createMetricCard(grid, 'Multi-syllabic Ratio', `${(metrics.multiRatio * 100).toFixed(1)}%`);
         this.createMetricCard(grid, 'Avg per Line', metrics.avgPerLine.toFixed(2));
         this.createMetricCard(grid, 'End Rhyme Scheme', metrics.scheme || 'No pattern');
+        this.createMetricCard(grid, 'Accent', resolveAccentProfile(this.currentAnalysis.accent).name);
+        
+        if (this.currentAnalysis.timings) this.renderTimings(section);
+    }
+    
+    // How long the analysis took, pass by pass, under the metrics
+    renderTimings(parent) {
+        const labels = {
+            words: 'words', rhymes: 'rhymes', assonance: 'assonance', alliteration: 'alliteration',
+            consonance: 'consonance', repetition: 'repetition', internal: 'internal',
+            multis: 'vowel multis', metrics: 'metrics', hipHop: 'hip-hop'
+        };
+        const format = ms => (ms < 10 ? ms.toFixed(1) : Math.round(ms).toString());
+        const passes = Object.entries(this.currentAnalysis.timings);
+        const total = passes.reduce((sum, [, ms]) => sum + ms, 0);
+        
+        parent.createEl('div', {
+            text: `Analyzed ${this.currentAnalysis.lines.length} lines in ${format(total)} ms: ` +
+                passes.map(([name, ms]) => `${labels[name] || name} ${format(ms)}`).join(' · '),
+            cls: 'rhyme-timing'
+        });
     }
     
     // Create individual metric display cards
@@ -911,23 +271,49 @@ class RhymeResultsView extends ItemView {
                 const lineInfo = wordEl.createSpan('rhyme-line-info');
                 lineInfo.setText(`L${word.line + 1}`);
             });
+            
+            if (group.pairs && group.pairs.length > 0) this.renderRhymePairs(groupEl, header, group);
+        });
+    }
+    
+    // Badges for a rhyme group's pairs: how many of each type in the header, then the closest pairs
+    renderRhymePairs(groupEl, header, group) {
+        const labels = { multisyllabic: 'multi-syllabic' };
+        for (const [type, count] of Object.entries(group.typeCounts)) {
+            header.createSpan(`rhyme-type-badge rhyme-type-${type}`).setText(`${labels[type] || type} ${count}`);
+        }
+        
+        const pairsList = groupEl.createDiv('rhyme-pairs-list');
+        group.pairs.forEach(pair => {
+            const [word1, word2] = pair.words.map(i => this.currentAnalysis.words[i]);
+            const pairEl = pairsList.createDiv('rhyme-pair');
+            
+            pairEl.createSpan(`rhyme-type-badge rhyme-type-${pair.type}`).setText(labels[pair.type] || pair.type);
+            pairEl.createSpan('rhyme-word').setText(word1.text);
+            pairEl.createSpan('rhyme-pair-separator').setText(' ↔ ');
+            pairEl.createSpan('rhyme-word').setText(word2.text);
+            pairEl.createSpan('rhyme-type-confidence').setText(` ${Math.round(pair.confidence * 100)}%`);
         });
+        if (group.pairCount > group.pairs.length) {
+            pairsList.createDiv('rhyme-type-confidence').setText(`${group.pairCount - group.pairs.length} more pairs`);
+        }
     }
     
-    // Display assonance patterns
-    renderAssonanceGroups() {
+    // Display assonance, alliteration or consonance patterns: groups of word indices, colored with the
+    // four classes of their kind (assonance-group-0 to -3, and so on)
+    renderSoundGroups(kind, groups, prefix) {
         const section = this.contentEl.createDiv('rhyme-section');
         section.createEl('h3', { 
-            text: `Assonance Groups (${this.currentAnalysis.assonanceGroups.length})`, 
+            text: `${kind} Groups (${groups.length})`, 
             cls: 'rhyme-section-title' 
         });
         
-        this.currentAnalysis.assonanceGroups.forEach((group, index) => {
+        groups.forEach((group, index) => {
             const groupEl = section.createDiv('rhyme-group');
             const header = groupEl.createDiv('rhyme-group-header');
             
-            header.createSpan('assonance-group-indicator').addClass(`assonance-group-${index % 4}`);
-            header.createSpan('rhyme-group-title').setText(`Assonance ${index + 1}`);
+            header.createSpan(`${prefix}-group-indicator`).addClass(`${prefix}-group-${index % 4}`);
+            header.createSpan('rhyme-group-title').setText(`${kind} ${index + 1}`);
             header.createSpan('rhyme-group-count').setText(`(${group.length} words)`);
             
             const wordsList = groupEl.createDiv('rhyme-words-list');
@@ -935,7 +321,7 @@ class RhymeResultsView extends ItemView {
                 const word = this.currentAnalysis.words[wordIndex];
                 const wordEl = wordsList.createSpan('rhyme-word');
                 wordEl.setText(word.text);
-                wordEl.addClass(`assonance-group-${index % 4}`);
+                wordEl.addClass(`${prefix}-group-${index % 4}`);
                 
                 const lineInfo = wordEl.createSpan('rhyme-line-info');
                 lineInfo.setText(`L${word.line + 1}`);
@@ -943,6 +329,32 @@ class RhymeResultsView extends ItemView {
         });
     }
     
+    // Display repetition: line endings (epistrophe), line openings (anaphora) and refrains, with their lines
+    renderRepetitions() {
+        const { lineEnds, openings, refrains } = this.currentAnalysis.repetitions;
+        const section = this.contentEl.createDiv('rhyme-section');
+        section.createEl('h3', { text: 'Repetition', cls: 'rhyme-section-title' });
+        
+        const kinds = [
+            ['Line endings (epistrophe)', lineEnds, 'rhyme-repeat-end'],
+            ['Line openings (anaphora)', openings, 'rhyme-repeat-opening'],
+            ['Refrains', refrains, 'rhyme-repeat-refrain']
+        ];
+        kinds.forEach(([title, repeats, cls]) => {
+            if (repeats.length === 0) return;
+            section.createDiv('rhyme-line-header').setText(`${title} (${repeats.length})`);
+            
+            repeats.forEach(repeat => {
+                const repeatEl = section.createDiv('rhyme-repeat');
+                repeatEl.createSpan(`rhyme-word ${cls}`).setText(repeat.text);
+                const lines = repeat.length > 1
+                    ? repeat.lines.map(line => `L${line + 1}-${line + repeat.length}`)
+                    : repeat.lines.map(line => `L${line + 1}`);
+                repeatEl.createSpan('rhyme-line-info').setText(lines.join(', '));
+            });
+        });
+    }
+    
     // Display internal rhyme patterns
     renderInternalRhymes() {
         const section = this.contentEl.createDiv('rhyme-section');
@@ -967,14 +379,66 @@ class RhymeResultsView extends ItemView {
         });
     }
     
-    // Display detailed phonetic breakdown for each word
+    // Display vowel multis, longest and best-matched consonants first: both halves with their lines, the
+    // paired vowels and the consonant agreement
+    renderVowelMultis() {
+        const multis = this.currentAnalysis.vowelMultis;
+        const section = this.contentEl.createDiv('rhyme-section');
+        section.createEl('h3', { text: `Vowel Multis (${multis.length})`, cls: 'rhyme-section-title' });
+        
+        const best = [...multis].sort((a, b) => b.syllables - a.syllables || b.consonance - a.consonance);
+        best.slice(0, 20).forEach(multi => {
+            const pairEl = section.createDiv('rhyme-pair');
+            pairEl.createSpan('rhyme-type-badge rhyme-type-multisyllabic').setText(`${multi.syllables} syl`);
+            multi.sides.forEach((side, index) => {
+                if (index > 0) pairEl.createSpan('rhyme-pair-separator').setText(' ↔ ');
+                pairEl.createSpan('rhyme-word').setText(side.text);
+                pairEl.createSpan('rhyme-line-info').setText(`L${side.line + 1}`);
+            });
+            pairEl.createSpan('rhyme-type-confidence')
+                .setText(` ${multi.vowels} · consonants ${Math.round(multi.consonance * 100)}%`);
+        });
+        if (best.length > 20) {
+            section.createDiv('rhyme-type-confidence').setText(`${best.length - 20} more multis`);
+        }
+    }
+    
+    // Display Spanish rhyme pairs labelled by class, with the phonetic distance for comparison
+    renderSpanishRhymes() {
+        const section = this.contentEl.createDiv('rhyme-section');
+        section.createEl('h3', { 
+            text: `Spanish Rhymes (${this.currentAnalysis.spanishRhymes.length})`, 
+            cls: 'rhyme-section-title' 
+        });
+        
+        this.currentAnalysis.spanishRhymes.forEach(pair => {
+            const [word1, word2] = pair.words.map(i => this.currentAnalysis.words[i]);
+            const pairEl = section.createDiv('rhyme-pair');
+            
+            pairEl.createSpan(`rhyme-spanish-class rhyme-spanish-${pair.type}`).setText(pair.type);
+            pairEl.createSpan('rhyme-word').setText(word1.text);
+            pairEl.createSpan('rhyme-line-info').setText(`L${word1.line + 1}`);
+            pairEl.createSpan('rhyme-pair-separator').setText(' ↔ ');
+            pairEl.createSpan('rhyme-word').setText(word2.text);
+            pairEl.createSpan('rhyme-line-info').setText(`L${word2.line + 1}`);
+            if (pair.distance !== null) {
+                pairEl.createSpan('rhyme-spanish-distance').setText(` d=${pair.distance.toFixed(2)}`);
+            }
+        });
+    }
+    
+    // Section for the detailed phonetic breakdown of each word; returns the list renderWordDetails fills
     renderWordBreakdown() {
         const section = this.contentEl.createDiv('rhyme-section');
         section.createEl('h3', { text: 'Phonetic Breakdown', cls: 'rhyme-section-title' });
         
-        const wordsContainer = section.createDiv('rhyme-words-breakdown');
-        
-        this.currentAnalysis.words.forEach((word, index) => {
+        return section.createDiv('rhyme-words-breakdown');
+    }
+    
+    // Breakdown entries for words from..to (exclusive)
+    renderWordDetails(wordsContainer, from, to) {
+        this.currentAnalysis.words.slice(from, to).forEach((word, offset) => {
+            const index = from + offset;
             const groups = this.currentAnalysis.wordToGroup[index] || [];
             if (groups.length === 0) return; // Only show words that participate in rhymes
             
@@ -982,9 +446,24 @@ class RhymeResultsView extends ItemView {
             
             const wordText = wordEl.createDiv('rhyme-word-text');
             wordText.setText(word.text);
+            if (word.source && word.source !== word.text) {
+                wordText.createSpan('rhyme-word-source').setText(` (${word.source})`); // Spelled-out number or symbol
+            }
             
             const phonetics = wordEl.createDiv('rhyme-word-phonetics');
             phonetics.setText(`[${word.phones.join(' ')}]`);
+            if (word.lang && word.lang !== 'en') {
+                phonetics.createSpan('rhyme-word-lang').setText(` ${word.lang}`);
+            }
+            
+            // Show which pronunciation of a homograph the engine picked
+            if (word.variants && word.variants.length > 1) {
+                const others = word.variants
+                    .filter((_, v) => v !== word.variantIndex)
+                    .map(v => `[${v.join(' ')}]`);
+                wordEl.createDiv('rhyme-word-variant').setText(
+                    `Pronunciation ${word.variantIndex + 1} of ${word.variants.length} (also: ${others.join(', ')})`);
+            }
             
             const groupInfo = wordEl.createDiv('rhyme-word-groups');
             groups.forEach(([groupId, tail, type]) => {
@@ -1218,22 +697,52 @@ class RhymeLabPlugin extends Plugin {
         this.settings = Object.assign({}, {
             perfectThreshold: 0.10,
             slantThreshold: 0.25,
+            rhymeCohesion: 0.5,
             assonanceThreshold: 0.30,
             showInternalRhymes: true,
+            showVowelMultis: true,
             highlightAssonance: true,
+            highlightAlliteration: true,
+            highlightConsonance: true,
+            countIdenticalWords: false,
+            spanishRhymes: true,
             autoAnalyzeOnType: false,
+            // Live analysis only runs in notes that opt in: "rhyme-live: true" frontmatter, this tag or these folders
+            liveAnalysisTag: 'lyrics',
+            liveAnalysisFolders: '',
+            liveAnalysisDelay: 1000,
             // Hip-hop enhancement settings
             enableHipHopFeatures: false,  // Opt-in for backward compatibility
-            enableInlineHighlights: true
+            enableInlineHighlights: true,
+            userLexiconPath: DEFAULT_USER_LEXICON_PATH,
+            accentProfile: DEFAULT_ACCENT,
+            nucleusMetric: 'features',
+            codaMetric: 'features',
+            phoneticModel: defaultPhoneticModel()
         }, await this.loadData());
         
-        // Initialize the analysis engine
-        this.analyzer = new RhymeAnalyzer(this.settings);
+        // Bundled pronunciation lexicon is read from the plugin folder on first analysis only
+        this.lexicon = new PronunciationLexicon(() =>
+            this.app.vault.adapter.read(`${this.manifest.dir}/${LEXICON_FILE}`));
+        // Per-vault pronunciation overrides, also read lazily
+        this.userLexicon = new UserLexicon(this.app.vault.adapter, this.settings.userLexiconPath);
+        this.lastAnalyzedText = null;
+        this.lastAnalysisOptions = {};
+        this.lastAnalysisEditor = null;
+        this.analysisRuns = 0; // Counts runAnalysis calls, so a main-thread run can tell it was superseded
+        
+        // Initialize the analysis engine. Analyses run in a background worker, started on the first one;
+        // this analyzer serves lookups, tooltips and the main-thread fallback
+        this.analyzer = new RhymeAnalyzer(this.settings, this.lexicon, this.userLexicon);
+        this.analysisWorker = new AnalysisWorker(file => this.app.vault.adapter.read(`${this.manifest.dir}/${file}`));
+        this.analysisWorker.configure(this.settings, this.userLexicon);
+        this.engineSettings = this.engineSettingsKey();
+        this.saveSettingsTimer = null;
         
         // Register the results view component
         this.registerView(VIEW_TYPE_RHYME_RESULTS, (leaf) => new RhymeResultsView(leaf, this));
-        // Try enable CM6 decorations if bundled
-        maybeEnableCM6(this);
+        // Inline highlights are editor state; the field sits empty until an analysis fills it
+        if (InlineHighlights) this.registerEditorExtension(InlineHighlights.createRhymeExtension());
         
         // Add ribbon icon for quick access
         this.addRibbonIcon('music', 'Analyze Rhymes', () => {
@@ -1244,19 +753,23 @@ class RhymeLabPlugin extends Plugin {
         this.addCommand({
             id: 'analyze-rhymes',
             name: 'Analyze rhymes in current note',
-            editorCallback: (editor) => {
-                const text = editor.getSelection() || editor.getValue();
-                this.analyzeText(text);
+            editorCallback: (editor, view) => {
+                const selection = editor.getSelection();
+                const options = this.getNoteOptions(view.file);
+                if (selection) options.offset = this.getSelectionOffset(editor);
+                this.analyzeText(selection || editor.getValue(), options, editor);
             }
         });
         
         this.addCommand({
             id: 'analyze-selection',
             name: 'Analyze rhymes in selection',
-            editorCallback: (editor) => {
+            editorCallback: (editor, view) => {
                 const selection = editor.getSelection();
                 if (selection) {
-                    this.analyzeText(selection);
+                    const options = this.getNoteOptions(view.file);
+                    options.offset = this.getSelectionOffset(editor);
+                    this.analyzeText(selection, options, editor);
                 } else {
                     new Notice('No text selected');
                 }
@@ -1269,12 +782,58 @@ class RhymeLabPlugin extends Plugin {
             callback: () => this.activateResultsView()
         });
         
+        this.addCommand({
+            id: 'clear-rhyme-highlights',
+            name: 'Clear inline rhyme highlights',
+            callback: () => this.clearHighlights()
+        });
+        
+        this.addCommand({
+            id: 'set-word-pronunciation',
+            name: 'Set pronunciation for word under cursor',
+            editorCallback: async (editor) => {
+                const word = this.analyzer.cleanWord(this.getWordAtCursor(editor));
+                if (!word) {
+                    new Notice('No word under cursor');
+                    return;
+                }
+                await this.analyzer.ensureLexicons();
+                new PronunciationModal(this.app, this, word).open();
+            }
+        });
+        
+        // Live analysis: re-analyze opted-in notes once typing pauses
+        this.liveAnalysisTimer = null;
+        this.registerEvent(this.app.workspace.on('editor-change', (editor, info) => {
+            this.scheduleLiveAnalysis(editor, info && info.file);
+        }));
+        
+        // Hand edits to the user dictionary file take effect immediately; one that breaks it keeps the
+        // pronunciations from before
+        this.registerEvent(this.app.vault.on('modify', async (file) => {
+            if (file.path !== this.userLexicon.path) return;
+            try {
+                if (await this.userLexicon.reload()) await this.invalidateAnalyses();
+            } catch (error) {
+                new Notice(`Pronunciation dictionary error, keeping the previous entries: ${error.message}`, 8000);
+            }
+        }));
+        
         // Add settings tab
         this.addSettingTab(new RhymeLabSettingTab(this.app, this));
         
         console.log('Rhyme Lab Pro loaded successfully');
     }
     
+    onunload() {
+        this.cancelLiveAnalysis();
+        if (this.saveSettingsTimer !== null) {
+            window.clearTimeout(this.saveSettingsTimer);
+            this.saveData(this.settings);
+        }
+        this.analysisWorker.stop();
+    }
+    
     // Analyze the currently active note
     async analyzeCurrentNote() {
         const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
@@ -1289,23 +848,76 @@ class RhymeLabPlugin extends Plugin {
             return;
         }
         
-        this.analyzeText(text);
+        this.analyzeText(text, this.getNoteOptions(activeView.file), activeView.editor);
+    }
+    
+    // Per-note analysis options from frontmatter (e.g. "rhyme-accent: british", "lang: af")
+    getNoteOptions(file) {
+        const cache = file ? this.app.metadataCache.getFileCache(file) : null;
+        const frontmatter = (cache && cache.frontmatter) || {};
+        const options = {};
+        const accent = frontmatter['rhyme-accent'] || frontmatter.accent;
+        if (accent) options.accent = String(accent);
+        // "lang: af" or "lang: [en, af]" for code-switched lyrics
+        const lang = frontmatter.lang || frontmatter.language;
+        if (lang) options.lang = lang;
+        return options;
+    }
+    
+    // Note offset where the selection starts, so result offsets point into the whole note
+    getSelectionOffset(editor) {
+        return editor.posToOffset(editor.getCursor('from'));
+    }
+    
+    // Word under the cursor (or the selection, if any)
+    getWordAtCursor(editor) {
+        const selection = editor.getSelection().trim();
+        if (selection) return selection;
+        
+        // Same tokens as the analysis, so accented letters and curly apostrophes stay inside the word;
+        // a cursor just after a word still picks it
+        const cursor = editor.getCursor();
+        const tokens = tokenizeLine(editor.getLine(cursor.line));
+        const token = tokens.find(t => t.position <= cursor.ch && cursor.ch < t.end) ||
+            tokens.find(t => t.end === cursor.ch);
+        return token ? token.text : '';
+    }
+    
+    // Run the engine; uses enhanced analysis if hip-hop features are enabled
+    // A newer run cancels this one: it then rejects with AnalysisCancelledError. Without a worker the
+    // engine runs here, and yields between its passes so that typing isn't held up for the whole run
+    async runAnalysis(text, options = {}) {
+        this.lastAnalyzedText = text;
+        this.lastAnalysisOptions = options;
+        const run = ++this.analysisRuns;
+        const enhanced = this.settings.enableHipHopFeatures;
+        if (await this.analysisWorker.start()) return await this.analysisWorker.analyze(text, options, enhanced);
+        
+        const checkpoint = async () => {
+            await new Promise(resolve => window.setTimeout(resolve, 0));
+            if (run !== this.analysisRuns) throw new AnalysisCancelledError();
+        };
+        const runOptions = Object.assign({}, options, { checkpoint });
+        return enhanced ? 
+            await this.analyzer.analyzeEnhanced(text, runOptions) : 
+            await this.analyzer.analyze(text, runOptions);
     }
     
-    // Perform rhyme analysis on provided text
-    async analyzeText(text) {
+    // Perform rhyme analysis on provided text; editor is where the text came from, for inline highlights
+    async analyzeText(text, options = {}, editor = null) {
         try {
             new Notice('Analyzing rhymes...', 2000);
-            // Use enhanced analysis if hip-hop features are enabled
-            const analysis = this.settings.enableHipHopFeatures ? 
-                await this.analyzer.analyzeEnhanced(text) : 
-                await this.analyzer.analyze(text);
+            const analysis = await this.runAnalysis(text, options);
                 
             await this.showResults(analysis);
+            this.lastAnalysisEditor = editor;
+            this.highlightAnalysis(editor, text, analysis);
             
             // Build result message based on available features
             let message = `Analysis complete: ${analysis.metrics.uniqueRhymeGroups} rhyme groups, ` +
-                         `${analysis.metrics.uniqueAssonanceGroups} assonance groups found`;
+                         `${analysis.metrics.uniqueAssonanceGroups} assonance groups, ` +
+                         `${analysis.metrics.uniqueAlliterationGroups} alliteration groups, ` +
+                         `${analysis.metrics.uniqueConsonanceGroups} consonance groups found`;
             
             if (analysis.hipHop) {
                 message += `, ${analysis.hipHop.internalRhymes.length} internal rhymes, ` +
@@ -1315,6 +927,7 @@ class RhymeLabPlugin extends Plugin {
             new Notice(message, 5000);
             
         } catch (error) {
+            if (error instanceof AnalysisCancelledError) return; // A newer analysis took over
             console.error('Rhyme analysis failed:', error);
             new Notice('Analysis failed: ' + error.message);
         }
@@ -1346,9 +959,253 @@ class RhymeLabPlugin extends Plugin {
         }
     }
     
+    // Debounced: every keystroke restarts the wait, so analysis only runs when typing pauses
+    scheduleLiveAnalysis(editor, file) {
+        if (!this.settings.autoAnalyzeOnType || !file || !this.isLiveNote(file)) return;
+        this.cancelLiveAnalysis();
+        this.liveAnalysisTimer = window.setTimeout(() => {
+            this.liveAnalysisTimer = null;
+            this.runLiveAnalysis(editor, file);
+        }, this.settings.liveAnalysisDelay);
+    }
+    
+    cancelLiveAnalysis() {
+        if (this.liveAnalysisTimer !== null) window.clearTimeout(this.liveAnalysisTimer);
+        this.liveAnalysisTimer = null;
+    }
+    
+    // Quiet version of analyzeText: no notices, and the panel is refreshed only if it is already open
+    // A run still in progress when the next one starts is cancelled
+    async runLiveAnalysis(editor, file) {
+        const text = editor.getValue();
+        if (!text.trim()) return;
+        
+        try {
+            const analysis = await this.runAnalysis(text, this.getNoteOptions(file));
+            if (editor.getValue() !== text) return; // Typing resumed; the run it scheduled will catch up
+            
+            const leaves = this.app.workspace.getLeavesOfType(VIEW_TYPE_RHYME_RESULTS);
+            if (leaves.length > 0) leaves[0].view.setAnalysis(analysis);
+            this.lastAnalysisEditor = editor;
+            this.highlightAnalysis(editor, text, analysis);
+        } catch (error) {
+            if (!(error instanceof AnalysisCancelledError)) console.error('Live rhyme analysis failed:', error);
+        }
+    }
+    
+    // Opted in by frontmatter ("rhyme-live: true", or false to opt out), by tag or by folder
+    isLiveNote(file) {
+        const cache = this.app.metadataCache.getFileCache(file);
+        const frontmatter = (cache && cache.frontmatter) || {};
+        if (frontmatter['rhyme-live'] !== undefined) return String(frontmatter['rhyme-live']).toLowerCase() === 'true';
+        
+        const tag = this.settings.liveAnalysisTag.trim().replace(/^#/, '').toLowerCase();
+        const tags = cache ? getAllTags(cache) || [] : [];
+        if (tag && tags.some(t => {
+            const name = t.replace(/^#/, '').toLowerCase();
+            return name === tag || name.startsWith(tag + '/');
+        })) {
+            return true;
+        }
+        
+        return this.settings.liveAnalysisFolders
+            .split('\n')
+            .map(folder => folder.trim().replace(/^\/+|\/+$/g, ''))
+            .some(folder => folder && file.path.startsWith(folder + '/'));
+    }
+    
+    // Color the analyzed words in the editor they came from and fill the scheme gutter
+    highlightAnalysis(editor, text, analysis) {
+        const view = InlineHighlights && InlineHighlights.editorViewOf(editor);
+        if (!view || !this.settings.enableInlineHighlights) return;
+        
+        // Skip if the note changed while analyzing; the offsets would land on the wrong words
+        const offset = analysis.offset || 0;
+        if (view.state.sliceDoc(offset, offset + text.length) !== text) return;
+        const firstLine = view.state.doc.lineAt(offset).number;
+        InlineHighlights.setHighlights(view, highlightRanges(analysis, this.analyzer, firstLine),
+            gutterLines(analysis, view.state.doc, firstLine));
+    }
+    
+    // Remove inline highlights from every open note
+    clearHighlights() {
+        if (!InlineHighlights) return;
+        this.app.workspace.getLeavesOfType('markdown').forEach(leaf => {
+            const view = InlineHighlights.editorViewOf(leaf.view.editor);
+            if (view) InlineHighlights.clearHighlights(view);
+        });
+    }
+    
+    // Pronunciations changed: rebuild the engine and refresh whatever the panel is showing
+    async invalidateAnalyses() {
+        this.analyzer = new RhymeAnalyzer(this.settings, this.lexicon, this.userLexicon);
+        this.analysisWorker.configure(this.settings, this.userLexicon);
+        
+        const leaves = this.app.workspace.getLeavesOfType(VIEW_TYPE_RHYME_RESULTS);
+        if (!this.lastAnalyzedText || leaves.length === 0 || !leaves[0].view.currentAnalysis) return;
+        
+        try {
+            const analysis = await this.runAnalysis(this.lastAnalyzedText, this.lastAnalysisOptions);
+            leaves[0].view.setAnalysis(analysis);
+            this.highlightAnalysis(this.lastAnalysisEditor, this.lastAnalyzedText, analysis);
+        } catch (error) {
+            if (!(error instanceof AnalysisCancelledError)) console.error('Rhyme re-analysis failed:', error);
+        }
+    }
+    
+    // Add or replace a user pronunciation (phones given as ARPAbet text)
+    async setUserPronunciation(word, phonesText) {
+        const cleaned = this.analyzer.cleanWord(word);
+        if (!cleaned) throw new Error('Enter a word');
+        
+        await this.userLexicon.ensureLoaded();
+        this.userLexicon.set(cleaned, this.analyzer.parsePronunciations(phonesText, cleaned));
+        await this.userLexicon.save();
+        await this.invalidateAnalyses();
+    }
+    
+    async removeUserPronunciation(word) {
+        await this.userLexicon.ensureLoaded();
+        if (!this.userLexicon.remove(word)) return;
+        await this.userLexicon.save();
+        await this.invalidateAnalyses();
+    }
+    
+    // A new analyzer and worker configuration start with empty caches, so they are only rebuilt when a
+    // setting the engine reads has changed
     async saveSettings() {
+        if (this.saveSettingsTimer !== null) window.clearTimeout(this.saveSettingsTimer);
+        this.saveSettingsTimer = null;
         await this.saveData(this.settings);
-        this.analyzer = new RhymeAnalyzer(this.settings); // Recreate analyzer with new settings
+        
+        const engineSettings = this.engineSettingsKey();
+        if (engineSettings === this.engineSettings) return;
+        this.engineSettings = engineSettings;
+        if (this.userLexicon.path !== this.settings.userLexiconPath) {
+            this.userLexicon.setPath(this.settings.userLexiconPath);
+        }
+        this.analyzer = new RhymeAnalyzer(this.settings, this.lexicon, this.userLexicon); // Recreate analyzer with new settings
+        this.analysisWorker.configure(this.settings, this.userLexicon);
+    }
+    
+    // Debounced save for text fields: every keystroke restarts the wait
+    saveSettingsSoon() {
+        if (this.saveSettingsTimer !== null) window.clearTimeout(this.saveSettingsTimer);
+        this.saveSettingsTimer = window.setTimeout(() => {
+            this.saveSettingsTimer = null;
+            this.saveSettings().catch(error => console.error('Rhyme Lab settings could not be saved:', error));
+        }, SETTINGS_SAVE_DELAY);
+    }
+    
+    engineSettingsKey() {
+        return JSON.stringify(this.settings, (key, value) => (NON_ENGINE_SETTINGS.has(key) ? undefined : value));
+    }
+}
+
+// Modal for entering a word's pronunciation in ARPAbet
+class PronunciationModal extends Modal {
+    constructor(app, plugin, word) {
+        super(app);
+        this.plugin = plugin;
+        this.word = word;
+    }
+    
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h3', { text: `Pronunciation of "${this.word}"` });
+        contentEl.createEl('p', {
+            text: 'ARPAbet phones separated by spaces, stress digits on vowels (1 = primary), e.g. "B R UW1". ' +
+                'Separate alternative pronunciations with "|".',
+            cls: 'setting-item-description'
+        });
+        
+        const hasOverride = this.plugin.userLexicon.has(this.word);
+        let value = this.plugin.analyzer.rawPhoneVariants(this.word).map(v => v.join(' ')).join(' | ');
+        
+        new Setting(contentEl)
+            .setName('Phones')
+            .setDesc(hasOverride ? 'From your pronunciation dictionary' : 'Current guess from the built-in dictionaries and rules')
+            .addText(text => text
+                .setValue(value)
+                .onChange(v => { value = v; }));
+        
+        const buttons = new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Save')
+                .setCta()
+                .onClick(async () => {
+                    try {
+                        await this.plugin.setUserPronunciation(this.word, value);
+                        new Notice(`Saved pronunciation for "${this.word}"`);
+                        this.close();
+                    } catch (error) {
+                        new Notice(error.message);
+                    }
+                }));
+        
+        if (hasOverride) {
+            buttons.addButton(button => button
+                .setButtonText('Remove override')
+                .onClick(async () => {
+                    await this.plugin.removeUserPronunciation(this.word);
+                    this.close();
+                }));
+        }
+    }
+    
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// Modal showing the phonetic model as JSON for copying out or pasting a new one in
+class PhoneticModelModal extends Modal {
+    constructor(app, plugin, onImport) {
+        super(app);
+        this.plugin = plugin;
+        this.onImport = onImport;
+    }
+    
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h3', { text: 'Phonetic model' });
+        contentEl.createEl('p', {
+            text: 'Copy this JSON to share or back up the model, or paste another model and import it. Missing fields keep their defaults.',
+            cls: 'setting-item-description'
+        });
+        
+        const textarea = contentEl.createEl('textarea', { cls: 'rhyme-phonetic-model-json' });
+        textarea.value = serializePhoneticModel(resolvePhoneticModel(this.plugin.settings.phoneticModel));
+        textarea.rows = 20;
+        textarea.style.width = '100%';
+        
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Copy')
+                .onClick(async () => {
+                    await navigator.clipboard.writeText(textarea.value);
+                    new Notice('Phonetic model copied to clipboard');
+                }))
+            .addButton(button => button
+                .setButtonText('Import')
+                .setCta()
+                .onClick(async () => {
+                    try {
+                        this.plugin.settings.phoneticModel = parsePhoneticModel(textarea.value);
+                        await this.plugin.saveSettings();
+                        new Notice('Phonetic model imported');
+                        if (this.onImport) this.onImport();
+                        this.close();
+                    } catch (error) {
+                        new Notice(error.message);
+                    }
+                }));
+    }
+    
+    onClose() {
+        this.contentEl.empty();
     }
 }
 
@@ -1390,6 +1247,19 @@ class RhymeLabSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
         
+        // Rhyme group cohesion setting
+        new Setting(containerEl)
+            .setName('Rhyme group cohesion')
+            .setDesc('Share of word pairs that must rhyme before two rhyme groups merge (lower chains slant rhymes together, 1 = every word rhymes with every other)')
+            .addSlider(slider => slider
+                .setLimits(0, 1, 0.05)
+                .setValue(this.plugin.settings.rhymeCohesion)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.rhymeCohesion = value;
+                    await this.plugin.saveSettings();
+                }));
+        
         // Internal rhymes toggle
         new Setting(containerEl)
             .setName('Show internal rhymes')
@@ -1401,6 +1271,17 @@ class RhymeLabSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
         
+        // Vowel multis toggle
+        new Setting(containerEl)
+            .setName('Show vowel multis')
+            .setDesc('Detect multi-syllabic rhymes that match on their vowels across words, like "orange" and "door hinge", within a line or between neighbouring lines')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.showVowelMultis)
+                .onChange(async (value) => {
+                    this.plugin.settings.showVowelMultis = value;
+                    await this.plugin.saveSettings();
+                }));
+        
         // Assonance detection toggle
         new Setting(containerEl)
             .setName('Highlight assonance')
@@ -1412,14 +1293,140 @@ class RhymeLabSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
         
+        // Alliteration detection toggle
+        new Setting(containerEl)
+            .setName('Highlight alliteration')
+            .setDesc('Show words in a line whose stressed syllables start with the same consonant ("big bad bully")')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.highlightAlliteration)
+                .onChange(async (value) => {
+                    this.plugin.settings.highlightAlliteration = value;
+                    await this.plugin.saveSettings();
+                }));
+        
+        // Consonance detection toggle
+        new Setting(containerEl)
+            .setName('Highlight consonance')
+            .setDesc('Show nearby words with the same consonants after different stressed vowels ("blank"/"think")')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.highlightConsonance)
+                .onChange(async (value) => {
+                    this.plugin.settings.highlightConsonance = value;
+                    await this.plugin.saveSettings();
+                }));
+        
+        // Repeated words in rhyme density
+        new Setting(containerEl)
+            .setName('Count repeated words as rhymes')
+            .setDesc('Let a word that appears again elsewhere (a repeated line ending, a refrain) count toward rhyme density. Repeats never join rhyme groups either way')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.countIdenticalWords)
+                .onChange(async (value) => {
+                    this.plugin.settings.countIdenticalWords = value;
+                    await this.plugin.saveSettings();
+                }));
+        
+        // Spanish rhyme classes toggle
+        new Setting(containerEl)
+            .setName('Spanish rhyme classes')
+            .setDesc('Label line-end pairs as rima consonante or asonante when a verse contains Spanish (tag a note with "lang: es" to treat unknown words as Spanish)')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.spanishRhymes)
+                .onChange(async (value) => {
+                    this.plugin.settings.spanishRhymes = value;
+                    await this.plugin.saveSettings();
+                }));
+        
+        // Accent profile dropdown
+        new Setting(containerEl)
+            .setName('Accent profile')
+            .setDesc('How words are pronounced when matching rhymes. A note can override this with "rhyme-accent: british" in its frontmatter')
+            .addDropdown(dropdown => {
+                for (const [id, profile] of Object.entries(ACCENT_PROFILES)) {
+                    dropdown.addOption(id, profile.name);
+                }
+                dropdown
+                    .setValue(this.plugin.settings.accentProfile)
+                    .onChange(async (value) => {
+                        this.plugin.settings.accentProfile = value;
+                        await this.plugin.saveSettings();
+                    });
+            });
+        
+        // Distance metric dropdowns (classic metrics kept for comparison)
+        new Setting(containerEl)
+            .setName('Vowel distance')
+            .setDesc('Articulatory features grade vowels by height, backness and rounding; vowel families use the original four buckets')
+            .addDropdown(dropdown => {
+                for (const [id, label] of Object.entries(NUCLEUS_METRICS)) {
+                    dropdown.addOption(id, label);
+                }
+                dropdown
+                    .setValue(this.plugin.settings.nucleusMetric)
+                    .onChange(async (value) => {
+                        this.plugin.settings.nucleusMetric = value;
+                        await this.plugin.saveSettings();
+                    });
+            });
+        
+        new Setting(containerEl)
+            .setName('Consonant distance')
+            .setDesc('Articulatory features grade consonants by place, manner and voicing; consonant pairs only accept the fixed substitution list')
+            .addDropdown(dropdown => {
+                for (const [id, label] of Object.entries(CODA_METRICS)) {
+                    dropdown.addOption(id, label);
+                }
+                dropdown
+                    .setValue(this.plugin.settings.codaMetric)
+                    .onChange(async (value) => {
+                        this.plugin.settings.codaMetric = value;
+                        await this.plugin.saveSettings();
+                    });
+            });
+        
         // Auto-analyze toggle
         new Setting(containerEl)
             .setName('Auto-analyze on typing')
-            .setDesc('Automatically analyze text while typing (may impact performance)')
+            .setDesc('Re-analyze opted-in notes when you pause typing, updating the open panel and the inline highlights. A note opts in with "rhyme-live: true" in its frontmatter, the tag below or a folder below')
             .addToggle(toggle => toggle
                 .setValue(this.plugin.settings.autoAnalyzeOnType)
                 .onChange(async (value) => {
                     this.plugin.settings.autoAnalyzeOnType = value;
+                    if (!value) this.plugin.cancelLiveAnalysis();
+                    await this.plugin.saveSettings();
+                }));
+        
+        new Setting(containerEl)
+            .setName('Live analysis tag')
+            .setDesc('Notes with this tag (or a nested tag under it) are analyzed live. Leave empty to disable')
+            .addText(text => text
+                .setPlaceholder('lyrics')
+                .setValue(this.plugin.settings.liveAnalysisTag)
+                .onChange((value) => {
+                    this.plugin.settings.liveAnalysisTag = value;
+                    this.plugin.saveSettingsSoon();
+                }));
+        
+        new Setting(containerEl)
+            .setName('Live analysis folders')
+            .setDesc('Notes in these folders are analyzed live. One folder path per line')
+            .addTextArea(text => text
+                .setPlaceholder('Lyrics/Drafts')
+                .setValue(this.plugin.settings.liveAnalysisFolders)
+                .onChange((value) => {
+                    this.plugin.settings.liveAnalysisFolders = value;
+                    this.plugin.saveSettingsSoon();
+                }));
+        
+        new Setting(containerEl)
+            .setName('Live analysis delay')
+            .setDesc('Milliseconds to wait after the last keystroke before re-analyzing')
+            .addSlider(slider => slider
+                .setLimits(300, 3000, 100)
+                .setValue(this.plugin.settings.liveAnalysisDelay)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.liveAnalysisDelay = value;
                     await this.plugin.saveSettings();
                 }));
 
@@ -1438,13 +1445,167 @@ class RhymeLabSettingTab extends PluginSettingTab {
         
         new Setting(containerEl)
             .setName('Enable inline highlights')
-            .setDesc('Highlight rhymes directly in the editor (requires CM6 decorations)')
+            .setDesc('Color rhyme and assonance groups in the note after each analysis, like the results panel')
             .addToggle(toggle => toggle
                 .setValue(this.plugin.settings.enableInlineHighlights)
                 .onChange(async (value) => {
                     this.plugin.settings.enableInlineHighlights = value;
+                    if (!value) this.plugin.clearHighlights();
                     await this.plugin.saveSettings();
                 }));
+
+        // Advanced phonetic model section
+        containerEl.createEl('h3', { text: 'Phonetic Model (advanced)' });
+        const modelEl = containerEl.createDiv('rhyme-phonetic-model');
+        this.renderPhoneticModel(modelEl);
+
+        // User pronunciation dictionary section
+        containerEl.createEl('h3', { text: 'Pronunciation Dictionary' });
+        
+        new Setting(containerEl)
+            .setName('Dictionary file')
+            .setDesc('Vault path of the JSON file holding your pronunciations (overrides the built-in dictionaries)')
+            .addText(text => text
+                .setPlaceholder(DEFAULT_USER_LEXICON_PATH)
+                .setValue(this.plugin.settings.userLexiconPath)
+                .onChange((value) => {
+                    this.plugin.settings.userLexiconPath = value.trim() || DEFAULT_USER_LEXICON_PATH;
+                    this.plugin.saveSettingsSoon();
+                }));
+        
+        const lexiconEl = containerEl.createDiv('rhyme-user-lexicon');
+        this.plugin.userLexicon.ensureLoaded().then(() => this.renderUserLexicon(lexiconEl));
+    }
+    
+    // Vowel families, consonant equivalences, voicing folds and weights that shape rhymeDistance
+    renderPhoneticModel(containerEl) {
+        containerEl.empty();
+        const model = resolvePhoneticModel(this.plugin.settings.phoneticModel);
+        
+        new Setting(containerEl)
+            .setName('Vowel families')
+            .setDesc('One family per line, using rhyme-key vowel names (EE I E A AH UH OR O U OO AY EYE OY OW ER). Used for assonance and the classic vowel distance')
+            .addTextArea(text => text
+                .setValue(formatPhoneLines(model.vowelFamilies))
+                .onChange((value) => {
+                    this.updatePhoneticModel({ vowelFamilies: parsePhoneLines(value) });
+                }));
+        
+        new Setting(containerEl)
+            .setName('Consonant equivalences')
+            .setDesc('One pair per line, e.g. "M N". Used by the classic consonant distance')
+            .addTextArea(text => text
+                .setValue(formatPhoneLines(model.consonantPairs))
+                .onChange((value) => {
+                    this.updatePhoneticModel({ consonantPairs: parsePhoneLines(value) });
+                }));
+        
+        new Setting(containerEl)
+            .setName('Voicing folds')
+            .setDesc('One "from to" per line, e.g. "Z S". Codas are folded this way before the classic consonant distance')
+            .addTextArea(text => text
+                .setValue(formatPhoneLines(Object.entries(model.voicingFold)))
+                .onChange((value) => {
+                    const lines = parsePhoneLines(value);
+                    if (lines.some(line => line.length !== 2)) return; // Wait for a complete line
+                    this.updatePhoneticModel({ voicingFold: Object.fromEntries(lines) });
+                }));
+        
+        new Setting(containerEl)
+            .setName('Vowel weight')
+            .setDesc('Share of the rhyme distance taken by the vowel; the consonant coda gets the rest (default 0.7)')
+            .addSlider(slider => slider
+                .setLimits(0, 1, 0.05)
+                .setValue(model.weights.nucleus)
+                .setDynamicTooltip()
+                .onChange((value) => {
+                    this.updatePhoneticModel({ weights: { nucleus: value, coda: Math.round((1 - value) * 100) / 100 } });
+                }));
+        
+        new Setting(containerEl)
+            .setName('Import / export')
+            .setDesc('Edit the whole model as JSON, including the articulatory feature weights, or reset it to the defaults')
+            .addButton(button => button
+                .setButtonText('Edit as JSON')
+                .onClick(() => {
+                    new PhoneticModelModal(this.app, this.plugin, () => this.renderPhoneticModel(containerEl)).open();
+                }))
+            .addButton(button => button
+                .setButtonText('Reset to defaults')
+                .setWarning()
+                .onClick(async () => {
+                    this.plugin.settings.phoneticModel = defaultPhoneticModel();
+                    await this.plugin.saveSettings();
+                    this.renderPhoneticModel(containerEl);
+                    new Notice('Phonetic model reset to defaults');
+                }));
+    }
+    
+    // Merge edited fields into the stored model; half-typed values that don't validate are ignored
+    updatePhoneticModel(changes) {
+        const current = resolvePhoneticModel(this.plugin.settings.phoneticModel);
+        let model;
+        try {
+            model = normalizePhoneticModel({ ...current, ...changes });
+        } catch (error) {
+            return;
+        }
+        this.plugin.settings.phoneticModel = model;
+        this.plugin.saveSettingsSoon();
+    }
+    
+    // List, edit and delete user pronunciations
+    renderUserLexicon(containerEl) {
+        containerEl.empty();
+        
+        let newWord = '';
+        let newPhones = '';
+        new Setting(containerEl)
+            .setName('Add pronunciation')
+            .setDesc('Word and ARPAbet phones, e.g. "skrrt" → "S K ER1 T"')
+            .addText(text => text
+                .setPlaceholder('word')
+                .onChange(v => { newWord = v; }))
+            .addText(text => text
+                .setPlaceholder('phones')
+                .onChange(v => { newPhones = v; }))
+            .addButton(button => button
+                .setButtonText('Add')
+                .onClick(async () => {
+                    try {
+                        await this.plugin.setUserPronunciation(newWord, newPhones);
+                        this.renderUserLexicon(containerEl);
+                    } catch (error) {
+                        new Notice(error.message);
+                    }
+                }));
+        
+        for (const [word, variants] of this.plugin.userLexicon.list()) {
+            let edited = variants.map(v => v.join(' ')).join(' | ');
+            new Setting(containerEl)
+                .setName(word)
+                .addText(text => text
+                    .setValue(edited)
+                    .onChange(v => { edited = v; }))
+                .addExtraButton(button => button
+                    .setIcon('checkmark')
+                    .setTooltip('Save')
+                    .onClick(async () => {
+                        try {
+                            await this.plugin.setUserPronunciation(word, edited);
+                            new Notice(`Saved pronunciation for "${word}"`);
+                        } catch (error) {
+                            new Notice(error.message);
+                        }
+                    }))
+                .addExtraButton(button => button
+                    .setIcon('trash')
+                    .setTooltip('Delete')
+                    .onClick(async () => {
+                        await this.plugin.removeUserPronunciation(word);
+                        this.renderUserLexicon(containerEl);
+                    }));
+        }
     }
 }
 
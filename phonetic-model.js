@@ -0,0 +1,164 @@
+/* Rhyme Lab Pro - Phonetic Model
+ * The tunable parts of rhyme matching: vowel families, consonant equivalences, voicing folds
+ * and distance weights. Stored in plugin settings and importable/exportable as JSON
+ */
+
+// Vowel class names used in rhyme keys (see VOWEL_CLASSES in main.js)
+const VOWEL_CLASS_NAMES = new Set([
+    "EE", "I", "E", "A", "AH", "UH", "OR", "O", "U", "OO", "AY", "EYE", "OY", "OW", "ER"
+]);
+
+const CONSONANT_NAMES = new Set([
+    "B", "CH", "D", "DH", "F", "G", "HH", "JH", "K", "L", "M", "N", "NG", "P", "R",
+    "S", "SH", "T", "TH", "V", "W", "Y", "Z", "ZH"
+]);
+
+const DEFAULT_PHONETIC_MODEL = {
+    // Vowels in the same family count as close for assonance and the classic vowel metric
+    vowelFamilies: [
+        ["EE", "I", "E"],           // Front vowels
+        ["A", "AH", "ER", "UH"],    // Central vowels
+        ["O", "OR", "OO", "U"],     // Back vowels
+        ["EYE", "OW", "OY", "AY"]   // Diphthongs
+    ],
+    // Consonant pairs that can substitute for each other in slant rhymes (classic coda metric)
+    consonantPairs: [
+        ["S", "Z"], ["F", "V"], ["T", "D"], ["K", "G"], ["P", "B"],
+        ["SH", "ZH"], ["CH", "JH"], ["TH", "DH"], ["M", "N"]
+    ],
+    // Voiced codas rewritten to their voiceless partners before classic coda comparison
+    voicingFold: {
+        "Z": "S", "V": "F", "D": "T", "G": "K", "B": "P",
+        "ZH": "SH", "JH": "CH", "DH": "TH"
+    },
+    // Share of rhymeDistance taken by the vowel nucleus and by the coda
+    weights: { nucleus: 0.7, coda: 0.3 },
+    // Articulatory feature weights for the feature metrics
+    vowelFeatureWeights: { height: 0.5, backness: 0.35, rounding: 0.15, rhoticity: 0.3 },
+    consonantFeatureWeights: { place: 0.4, manner: 0.4, voicing: 0.2 }
+};
+
+// Fresh deep copy, safe to edit
+function defaultPhoneticModel() {
+    return JSON.parse(JSON.stringify(DEFAULT_PHONETIC_MODEL));
+}
+
+function checkNames(names, known, what) {
+    for (const name of names) {
+        if (typeof name !== 'string' || !known.has(name)) {
+            throw new Error(`Unknown ${what} "${name}" in phonetic model`);
+        }
+    }
+}
+
+function checkWeights(value, defaults, field) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Phonetic model "${field}" must be an object of numbers`);
+    }
+    const result = {};
+    for (const key of Object.keys(defaults)) {
+        const weight = key in value ? value[key] : defaults[key];
+        if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) {
+            throw new Error(`Phonetic model "${field}.${key}" must be a non-negative number`);
+        }
+        result[key] = weight;
+    }
+    return result;
+}
+
+// Validate a (possibly partial) model; missing fields take their defaults, bad ones throw
+function normalizePhoneticModel(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Phonetic model must be a JSON object');
+    }
+    const model = defaultPhoneticModel();
+
+    if ('vowelFamilies' in data) {
+        if (!Array.isArray(data.vowelFamilies) || !data.vowelFamilies.every(Array.isArray)) {
+            throw new Error('Phonetic model "vowelFamilies" must be a list of vowel lists');
+        }
+        data.vowelFamilies.forEach(family => checkNames(family, VOWEL_CLASS_NAMES, 'vowel class'));
+        model.vowelFamilies = data.vowelFamilies.filter(family => family.length > 0).map(family => [...family]);
+    }
+
+    if ('consonantPairs' in data) {
+        if (!Array.isArray(data.consonantPairs) ||
+            !data.consonantPairs.every(pair => Array.isArray(pair) && pair.length === 2)) {
+            throw new Error('Phonetic model "consonantPairs" must be a list of two-consonant pairs');
+        }
+        data.consonantPairs.forEach(pair => checkNames(pair, CONSONANT_NAMES, 'consonant'));
+        model.consonantPairs = data.consonantPairs.map(pair => [...pair]);
+    }
+
+    if ('voicingFold' in data) {
+        const fold = data.voicingFold;
+        if (!fold || typeof fold !== 'object' || Array.isArray(fold)) {
+            throw new Error('Phonetic model "voicingFold" must map consonants to consonants');
+        }
+        checkNames(Object.keys(fold), CONSONANT_NAMES, 'consonant');
+        checkNames(Object.values(fold), CONSONANT_NAMES, 'consonant');
+        model.voicingFold = { ...fold };
+    }
+
+    if ('weights' in data) {
+        model.weights = checkWeights(data.weights, DEFAULT_PHONETIC_MODEL.weights, 'weights');
+        if (model.weights.nucleus + model.weights.coda === 0) {
+            throw new Error('Phonetic model weights cannot both be zero');
+        }
+    }
+    if ('vowelFeatureWeights' in data) {
+        model.vowelFeatureWeights = checkWeights(data.vowelFeatureWeights,
+            DEFAULT_PHONETIC_MODEL.vowelFeatureWeights, 'vowelFeatureWeights');
+    }
+    if ('consonantFeatureWeights' in data) {
+        model.consonantFeatureWeights = checkWeights(data.consonantFeatureWeights,
+            DEFAULT_PHONETIC_MODEL.consonantFeatureWeights, 'consonantFeatureWeights');
+    }
+
+    return model;
+}
+
+// Model from settings; an invalid stored model falls back to the defaults instead of breaking analysis
+function resolvePhoneticModel(data) {
+    if (!data) return defaultPhoneticModel();
+    try {
+        return normalizePhoneticModel(data);
+    } catch (error) {
+        console.warn('Invalid phonetic model, using defaults:', error.message);
+        return defaultPhoneticModel();
+    }
+}
+
+function parsePhoneticModel(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Phonetic model is not valid JSON: ${error.message}`);
+    }
+    return normalizePhoneticModel(data);
+}
+
+function serializePhoneticModel(model) {
+    return JSON.stringify(model, null, 2);
+}
+
+// Settings text areas hold one group per line ("EE I E"); blank lines are ignored
+function parsePhoneLines(text) {
+    return String(text || '')
+        .split('\n')
+        .map(line => line.trim().toUpperCase().split(/[\s,]+/).filter(p => p))
+        .filter(line => line.length > 0);
+}
+
+function formatPhoneLines(groups) {
+    return groups.map(group => group.join(' ')).join('\n');
+}
+
+// Export for use in main plugin
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_PHONETIC_MODEL, defaultPhoneticModel, normalizePhoneticModel, resolvePhoneticModel,
+        parsePhoneticModel, serializePhoneticModel, parsePhoneLines, formatPhoneLines
+    };
+}
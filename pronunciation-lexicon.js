@@ -0,0 +1,85 @@
+/* Rhyme Lab Pro - Pronunciation Lexicon
+ * Lazily loaded CMU-style dictionary bundled with the plugin (cmudict-compact.txt)
+ * Gives real ARPAbet phones and lexical stress for common words before falling back to heuristics
+ */
+
+const LEXICON_FILE = 'cmudict-compact.txt';
+
+class PronunciationLexicon {
+    // loadSource is an async function returning the raw lexicon text (e.g. a vault adapter read)
+    constructor(loadSource) {
+        this.loadSource = loadSource;
+        this.entries = new Map();
+        this.loaded = false;
+        this.loadPromise = null;
+    }
+
+    // Load the dictionary on first use only, so plugin startup stays fast
+    ensureLoaded() {
+        if (this.loaded) return Promise.resolve(true);
+        if (!this.loadPromise) {
+            this.loadPromise = Promise.resolve()
+                .then(() => this.loadSource())
+                .then(text => {
+                    this.parse(text);
+                    this.loaded = true;
+                    return true;
+                })
+                .catch(error => {
+                    // Missing or unreadable lexicon is not fatal - heuristics still work
+                    console.warn('Pronunciation lexicon unavailable:', error.message);
+                    this.loaded = true;
+                    return false;
+                });
+        }
+        return this.loadPromise;
+    }
+
+    // Parse "word<TAB>PH ON ES|VARIANT" lines, skipping ";;;" comment lines
+    parse(text) {
+        if (typeof text !== 'string') return;
+
+        for (const rawLine of text.split('\n')) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith(';;;')) continue;
+
+            const tab = line.indexOf('\t');
+            if (tab <= 0) continue;
+
+            const word = line.slice(0, tab).toLowerCase();
+            const variants = line.slice(tab + 1)
+                .split('|')
+                .map(v => v.trim().split(/\s+/).filter(p => p))
+                .filter(v => v.length > 0);
+
+            if (variants.length > 0) {
+                this.entries.set(word, variants);
+            }
+        }
+    }
+
+    has(word) {
+        return this.entries.has(word);
+    }
+
+    // Return every listed pronunciation (primary first), or null when unknown
+    lookupAll(word) {
+        const variants = this.entries.get(word);
+        return variants ? variants.map(v => [...v]) : null;
+    }
+
+    // Return the primary (first listed) pronunciation, or null when unknown
+    lookup(word) {
+        const variants = this.entries.get(word);
+        return variants ? [...variants[0]] : null;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+// Export for use in main plugin
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PronunciationLexicon, LEXICON_FILE };
+}
@@ -0,0 +1,2513 @@
+/* Rhyme Lab Pro - Rhyme Analyzer
+ * The phonetic analysis engine: pronunciations, syllables, rhyme keys and distances, and the rhyme,
+ * assonance, internal and Spanish rhyme passes. Has no Obsidian dependencies, so it runs the same in
+ * the plugin and in the background analysis worker
+ */
+
+// Import hip-hop enhancements (graceful fallback if not available)
+let HipHopRhymeAnalyzer = null;
+let HIPHOP_CUSTOM_ARPA = {};
+try {
+    const hipHopModule = require('./hip-hop-enhancements.js');
+    HipHopRhymeAnalyzer = hipHopModule.HipHopRhymeAnalyzer;
+    HIPHOP_CUSTOM_ARPA = hipHopModule.HIPHOP_CUSTOM_ARPA;
+} catch (error) {
+    console.log('Hip-hop enhancements not available:', error.message);
+}
+
+const { DEFAULT_ACCENT, resolveAccentProfile, applyAccentProfile } = require('./accent-profiles.js');
+const { normalizeLanguage, languageToPhones, listedLanguage } = require('./south-african-languages.js');
+const { SPANISH_WORDS, spanishToPhones, spanishRhymeClass } = require('./spanish-phonetics.js');
+const { tokenizeLine, normalizeWord } = require('./tokenizer.js');
+const { resolvePhoneticModel } = require('./phonetic-model.js');
+
+// Core phonetic analysis constants derived from computational linguistics research
+const ARPA_VOWELS = new Set([
+    "AA", "AE", "AH", "AO", "AW", "AY", "EH", "ER", "EY", "IH", "IY", "OW", "OY", "UH", "UW"
+]);
+
+const ARPA_CONSONANTS = new Set([
+    "B", "CH", "D", "DH", "F", "G", "HH", "JH", "K", "L", "M", "N", "NG", "P", "R",
+    "S", "SH", "T", "TH", "V", "W", "Y", "Z", "ZH"
+]);
+
+// Vowel classification system groups similar-sounding vowels for assonance detection
+const VOWEL_CLASSES = {
+    "IY": "EE", "IH": "I", "EH": "E", "AE": "A", "AA": "AH", "AH": "UH", 
+    "AO": "OR", "OW": "O", "UH": "U", "UW": "OO", "EY": "AY", "AY": "EYE", 
+    "OY": "OY", "AW": "OW", "ER": "ER"
+};
+
+// Articulatory features for graded phonetic distance
+// Vowels (keyed by VOWEL_CLASSES name): [height, backness, rounding] targets, 0-1 scales;
+// diphthongs list an onset and an offset target
+const VOWEL_FEATURES = {
+    "EE": [[1.0, 0.0, 0]], "I": [[0.85, 0.15, 0]], "E": [[0.5, 0.1, 0]], "A": [[0.2, 0.1, 0]],
+    "AH": [[0.0, 0.85, 0]], "UH": [[0.4, 0.6, 0]], "OR": [[0.2, 1.0, 1]], "U": [[0.85, 0.85, 1]],
+    "OO": [[1.0, 1.0, 1]], "ER": [[0.5, 0.5, 0]],
+    "O": [[0.55, 1.0, 1], [0.9, 1.0, 1]], "AY": [[0.5, 0.1, 0], [0.9, 0.05, 0]],
+    "EYE": [[0.05, 0.6, 0], [0.85, 0.1, 0]], "OY": [[0.3, 1.0, 1], [0.85, 0.1, 0]],
+    "OW": [[0.05, 0.6, 0], [0.85, 0.9, 1]]
+};
+const RHOTIC_VOWELS = new Set(["ER"]);
+
+// Consonants: [place, manner, voicing]. Place runs front to back (bilabial 0 ... glottal 1),
+// manner runs by sonority (stop 0, affricate, fricative, nasal, liquid, glide 0.9)
+const CONSONANT_FEATURES = {
+    "P": [0.0, 0.0, 0], "B": [0.0, 0.0, 1], "M": [0.0, 0.55, 1], "W": [0.0, 0.9, 1],
+    "F": [0.15, 0.3, 0], "V": [0.15, 0.3, 1], "TH": [0.3, 0.3, 0], "DH": [0.3, 0.3, 1],
+    "T": [0.4, 0.0, 0], "D": [0.4, 0.0, 1], "S": [0.4, 0.3, 0], "Z": [0.4, 0.3, 1],
+    "N": [0.4, 0.55, 1], "L": [0.4, 0.75, 1], "R": [0.45, 0.75, 1],
+    "SH": [0.5, 0.3, 0], "ZH": [0.5, 0.3, 1], "CH": [0.5, 0.15, 0], "JH": [0.5, 0.15, 1],
+    "Y": [0.65, 0.9, 1], "K": [0.8, 0.0, 0], "G": [0.8, 0.0, 1], "NG": [0.8, 0.55, 1],
+    "HH": [1.0, 0.3, 0]
+};
+
+// Feature weights live in the phonetic model (phonetic-model.js). Raw feature distances are stretched so that e.g. IY/IH lands near the old same-family score
+const FEATURE_DISTANCE_SCALE = 2;
+
+// Distance metrics selectable in settings; the first of each is the default
+const NUCLEUS_METRICS = { features: 'Articulatory features', families: 'Vowel families (classic)' };
+const CODA_METRICS = { features: 'Articulatory features', pairs: 'Consonant pairs (classic)' };
+
+// Common words excluded from rhyme analysis due to their ubiquity
+const STOP_WORDS = new Set([
+    "the", "and", "a", "an", "in", "on", "of", "is", "to", "for", "with", "that", 
+    "this", "these", "those", "are", "be", "i", "you", "he", "she", "it", "we", 
+    "they", "at", "from", "as", "by", "or", "if", "then", "but", "my", "me", 
+    "your", "our", "their", "his", "her", "im", "i'm", "ya", "'em", "em", 
+    "ain't", "aint", "uh", "yeah"
+]);
+
+// Function words besides the stop words. The dictionary lists their weak and strong forms as separate
+// pronunciations ("was" W AA1 Z / W AH0 Z), so they never take a rhyming variant
+const FUNCTION_WORDS = new Set([
+    "am", "has", "have", "had", "was", "were", "been", "do", "does", "did", "can", "could", "will",
+    "would", "shall", "should", "must", "him", "us", "them", "its", "than", "what", "when", "which",
+    "while", "who", "whom", "whose", "into", "onto", "just", "because", "either", "not"
+]);
+
+// Unified phonetic dictionary combining traditional and hip-hop specific terms
+// Base dictionary for modern slang, contractions, and regional variations
+const BASE_CUSTOM_ARPA = {
+    "ya": ["Y", "AA1"], "yall": ["Y", "AO1", "L"], "y'all": ["Y", "AO1", "L"],
+    "gon": ["G", "AA1", "N"], "gonna": ["G", "AH1", "N", "AH0"],
+    "wanna": ["W", "AA1", "N", "AH0"], "bru": ["B", "R", "UW1"],
+    "'em": ["AH0", "M"], "em": ["AH0", "M"], "lekker": ["L", "EH1", "K", "ER0"],
+    "kak": ["K", "AA1", "K"], "finna": ["F", "IH1", "N", "AH0"],
+    "tryna": ["T", "R", "AY1", "N", "AH0"], "boutta": ["B", "AW1", "T", "AH0"],
+    "hella": ["HH", "EH1", "L", "AH0"], "ayy": ["EY1"], "bruh": ["B", "R", "AH1"],
+    "nah": ["N", "AA1"], "aight": ["AY1", "T"], "yo": ["Y", "OW1"],
+    "wassup": ["W", "AH1", "S", "AH0", "P"], "whatchu": ["W", "AH1", "CH", "UW0"],
+    "cuz": ["K", "AH1", "Z"], "homie": ["HH", "OW1", "M", "IY0"],
+    "thru": ["TH", "R", "UW1"], "tho": ["DH", "OW1"]
+};
+
+// Unified dictionary merging base and hip-hop specific terms
+const CUSTOM_ARPA = {
+    ...BASE_CUSTOM_ARPA,
+    ...HIPHOP_CUSTOM_ARPA  // Hip-hop terms override base where conflicts exist
+};
+
+// Sophisticated pattern recognition for grapheme-to-phoneme conversion
+// These patterns handle complex English spelling-to-sound relationships
+const VOWEL_PATTERNS = [
+    ["eigh", "EY"], ["ough", "AO"], ["augh", "AO"], ["eau", "OW"], ["igh", "AY"],
+    ["oi", "OY"], ["oy", "OY"], ["ow", "AW"], ["ou", "AW"], ["ai", "EY"], 
+    ["ay", "EY"], ["ey", "EY"], ["ea", "IY"], ["ee", "IY"], ["ie", "IY"], 
+    ["oa", "OW"], ["oo", "UW"], ["eu", "UW"], ["au", "AO"], ["aw", "AO"], 
+    ["ur", "ER"], ["ir", "ER"], ["er", "ER"], ["ar", "AA R"], ["or", "AO R"]
+];
+
+const CONSONANT_DIGRAPHS = {
+    "ch": "CH", "sh": "SH", "th": "TH", "ph": "F", "wh": "W", "gh": "G", 
+    "ng": "NG", "qu": "KW", "ck": "K", "kn": "N", "wr": "R", "ps": "S"
+};
+
+const SIMPLE_VOWELS = {
+    "a": "AE", "e": "EH", "i": "IH", "o": "AO", "u": "AH", "y": "IH"
+};
+
+const CONSONANT_MAP = {
+    'b': 'B', 'c': 'K', 'd': 'D', 'f': 'F', 'g': 'G', 'h': 'HH',
+    'j': 'JH', 'k': 'K', 'l': 'L', 'm': 'M', 'n': 'N', 'p': 'P',
+    'q': 'K', 'r': 'R', 's': 'S', 't': 'T', 'v': 'V', 'w': 'W', 'x': 'K', 'z': 'Z'
+};
+
+// Morphology rules for words missing from every dictionary
+// Suffixes are checked longest-first and always carry unstressed vowels; "ED" marks the -ed allomorph
+const SUFFIX_RULES = [
+    ["ssion", ["SH", "AH0", "N"]], ["cious", ["SH", "AH0", "S"]], ["tious", ["SH", "AH0", "S"]],
+    ["tion", ["SH", "AH0", "N"]], ["sion", ["ZH", "AH0", "N"]], ["ness", ["N", "AH0", "S"]],
+    ["ment", ["M", "AH0", "N", "T"]], ["less", ["L", "AH0", "S"]], ["ful", ["F", "AH0", "L"]],
+    ["ous", ["AH0", "S"]], ["ing", ["IH0", "NG"]], ["in'", ["IH0", "N"]], ["ly", ["L", "IY0"]],
+    ["ed", "ED"]
+];
+
+// Prefixes are only split off when the remainder is a known word
+const PREFIX_RULES = [
+    ["pre", ["P", "R", "IY0"]], ["dis", ["D", "IH0", "S"]], ["mis", ["M", "IH0", "S"]],
+    ["non", ["N", "AA0", "N"]], ["un", ["AH0", "N"]], ["re", ["R", "IY0"]]
+];
+
+// Inflectional suffixes that trigger stem restoration (hat-ed vs hate-d, runn-ing vs run)
+const INFLECTIONAL_SUFFIXES = new Set(["ing", "in'", "ed"]);
+
+// Vowel lengthening for magic-e ("rat" -> "rate") and open syllables before -tion/-sion ("na-tion")
+const MAGIC_E_VOWELS = { "AE": "EY", "EH": "IY", "IH": "AY", "AO": "OW", "AH": "UW" };
+const OPEN_SYLLABLE_VOWELS = { "AE": "EY", "EH": "IY", "AO": "OW", "AH": "UW" };
+
+// Lines above and below a homograph that are searched for a rhyme partner
+const VARIANT_CONTEXT_LINES = 4;
+const VARIANT_LINE_PENALTY = 0.02;
+
+// Stale entries the line and homograph caches and the key index tolerate before pruning
+const LINE_CACHE_SLACK = 500;
+const KEY_INDEX_SLACK = 500;
+
+// Share of word pairs across two rhyme groups that must rhyme before they merge (settings.rhymeCohesion)
+const DEFAULT_RHYME_COHESION = 0.5;
+
+// Share of a note's distinct words that may change across re-analyses, which only regroup the words
+// around each edit, before its rhyme groups are clustered afresh
+const RHYME_RECLUSTER_DRIFT = 0.25;
+
+// Codas further apart than this leave a pair with the same vowel as assonance rather than a slant rhyme
+const ASSONANCE_CODA_DISTANCE = 0.5;
+
+// Kinds of rhyme pair, in the order classifyRhymePair checks them, and how many of its closest pairs a
+// rhyme group carries next to its count of each kind
+const RHYME_PAIR_TYPES = ['identity', 'multisyllabic', 'perfect', 'additive', 'subtractive', 'family', 'slant',
+    'assonance', 'consonance'];
+const RHYME_GROUP_PAIRS = 10;
+
+// Lines a run of alliteration or consonance may pass over between two of its words before it breaks:
+// alliteration stays within a line, consonance carries into the next
+const ALLITERATION_LINE_GAP = 0;
+const CONSONANCE_LINE_GAP = 1;
+
+// Lines a run of repeated line endings or openings may pass over before it breaks
+const REPETITION_LINE_GAP = 3;
+
+// Vowel multis: reduced vowels that stand in for each other when either is unstressed ("orange"/"door
+// hinge"), and how many lines apart the two halves may be
+const REDUCED_VOWELS = new Set(["AH", "IH", "ER", "UH"]);
+const VOWEL_MULTI_LINE_GAP = 1;
+
+const VOICELESS_CONSONANTS = new Set(["P", "K", "F", "S", "SH", "CH", "TH"]);
+const PRE_STRESSING_RULES = new Set(["ssion", "cious", "tious", "tion", "sion"]);
+
+// Stress prediction for heuristic words: suffixes that take the stress themselves,
+// suffixes that fix it N vowels from the end, and weak prefixes skipped in two-syllable words
+const STRESS_ATTRACTING_SUFFIXES = ["esque", "ique", "ette", "eer", "oon", "ese", "ee"];
+const PRE_STRESSING_SUFFIXES = [["ical", 3], ["eous", 3], ["ious", 3], ["ity", 3], ["ial", 3], ["ian", 3], ["ic", 2]];
+const UNSTRESSED_PREFIXES = ["pre", "con", "com", "dis", "mis", "un", "be", "de", "re", "ex", "ad", "ob", "a"];
+
+// Long vowels and diphthongs make a syllable heavy on their own
+const TENSE_VOWELS = new Set(["IY", "EY", "AY", "OW", "UW", "AW", "OY", "AA", "AO", "ER"]);
+
+// Spanish sits beside the South African languages for tagging and spelling rules
+const SPANISH_LANGUAGE_NAMES = new Set(["es", "spa", "spanish", "español", "espanol", "castellano"]);
+
+// Line-final words at most this many lines apart are compared for rima asonante/consonante
+const SPANISH_RHYME_WINDOW = 4;
+
+// Thrown through an analysis that was superseded before it finished (see RhymeAnalyzer.checkpoint)
+class AnalysisCancelledError extends Error {
+    constructor() {
+        super('Analysis cancelled');
+        this.name = 'AnalysisCancelledError';
+    }
+}
+
+// Binary heap of numbered entries, the highest score first and ties to the lowest rank. Entries live in
+// flat arrays rather than objects, as a long note queues hundreds of thousands of them
+class PriorityQueue {
+    constructor(ids = [], scores = [], ranks = []) {
+        this.ids = ids;
+        this.scores = scores;
+        this.ranks = ranks;
+        for (let i = (ids.length >> 1) - 1; i >= 0; i--) this.sink(i, ids[i], scores[i], ranks[i]);
+    }
+
+    get size() {
+        return this.ids.length;
+    }
+
+    // Whether the entry at position i comes out before the given score and rank
+    before(i, score, rank) {
+        return this.scores[i] > score || (this.scores[i] === score && this.ranks[i] < rank);
+    }
+
+    push(id, score, rank) {
+        let i = this.ids.length;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.before(parent, score, rank)) break;
+            this.move(parent, i);
+            i = parent;
+        }
+        this.place(i, id, score, rank);
+    }
+
+    // Keeps the entries for which keep(id, score) holds
+    filter(keep) {
+        let kept = 0;
+        for (let i = 0; i < this.ids.length; i++) {
+            if (keep(this.ids[i], this.scores[i])) this.move(i, kept++);
+        }
+        this.ids.length = this.scores.length = this.ranks.length = kept;
+        for (let i = (kept >> 1) - 1; i >= 0; i--) this.sink(i, this.ids[i], this.scores[i], this.ranks[i]);
+    }
+
+    // Drops the first entry; read it beforehand from ids[0], scores[0] and ranks[0]
+    pop() {
+        const id = this.ids.pop();
+        const score = this.scores.pop();
+        const rank = this.ranks.pop();
+        if (this.ids.length > 0) this.sink(0, id, score, rank);
+    }
+
+    // Places an entry at position i or below it
+    sink(i, id, score, rank) {
+        const length = this.ids.length;
+        for (;;) {
+            const left = 2 * i + 1;
+            if (left >= length) break;
+            const right = left + 1;
+            const child = right < length && this.before(right, this.scores[left], this.ranks[left]) ? right : left;
+            if (!this.before(child, score, rank)) break;
+            this.move(child, i);
+            i = child;
+        }
+        this.place(i, id, score, rank);
+    }
+
+    move(from, to) {
+        this.ids[to] = this.ids[from];
+        this.scores[to] = this.scores[from];
+        this.ranks[to] = this.ranks[from];
+    }
+
+    place(i, id, score, rank) {
+        this.ids[i] = id;
+        this.scores[i] = score;
+        this.ranks[i] = rank;
+    }
+}
+
+// Consonants made the same way in the same place, one voiced and one not ("T"/"D", "S"/"Z")
+function differsInVoicing(a, b) {
+    const f1 = CONSONANT_FEATURES[a];
+    const f2 = CONSONANT_FEATURES[b];
+    return Boolean(f1 && f2) && f1[0] === f2[0] && f1[1] === f2[1] && f1[2] !== f2[2];
+}
+
+function languageCode(name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    return SPANISH_LANGUAGE_NAMES.has(wanted) ? 'es' : normalizeLanguage(wanted);
+}
+
+// Every language whose word list claims the token ("en" is both Afrikaans and Spanish)
+function listedLanguages(word) {
+    const languages = [];
+    const southAfrican = listedLanguage(word);
+    if (southAfrican) languages.push(southAfrican);
+    if (SPANISH_WORDS.has(word)) languages.push('es');
+    return languages;
+}
+
+function phonesForLanguage(word, lang) {
+    return lang === 'es' ? spanishToPhones(word) : languageToPhones(word, lang);
+}
+
+// Core rhyme analysis engine - this class handles the computational linguistics
+class RhymeAnalyzer {
+    constructor(settings, lexicon = null, userLexicon = null) {
+        this.settings = settings;
+        this.lexicon = lexicon; // Bundled pronunciation dictionary, loaded lazily on first analysis
+        this.userLexicon = userLexicon; // Per-vault overrides, checked before every built-in table
+        this.useAccent(); // Global accent profile until a note asks for another
+        this.model = resolvePhoneticModel(settings.phoneticModel); // Families, equivalences and weights
+        this.buildConsonantEquivalence();
+
+        // Work reused between analyses; all of it depends on the settings, so a new analyzer starts empty
+        this.lineCache = new Map(); // Line text -> its words with phones
+        this.lineCacheContext = null;
+        this.keyCache = new Map(); // Phones -> rhyme keys (see rhymeKeys)
+        this.distanceCache = new Map(); // Rhyme key text -> rhyme key text -> rhymeDistance
+        this.nucleusCache = new Map(); // Nucleus -> nucleus -> nucleusDistance
+        this.codaCache = new Map(); // Consonants -> consonants -> codaDistance, as texts
+        this.variantCache = new Map(); // Homograph and its surrounding lines -> chosen pronunciation
+        this.multiCache = new Map(); // Words of a line or two neighbouring lines -> their vowel multis
+        this.keyIndex = this.emptyKeyIndex(); // See updateKeyIndex
+        this.rhymeLinks = new Map(); // Word signature -> its rhyme links, see updateRhymeLinks
+        this.rhymeClusters = null; // The last clustering and what it was run on, see clusterRhymes
+        this.groupPairCache = new Map(); // A rhyme group's words -> its pairs, see rhymeGroupPairs
+        
+        // Initialize hip-hop analyzer if available and enabled
+        this.hipHopAnalyzer = null;
+        if (HipHopRhymeAnalyzer && settings.enableHipHopFeatures) {
+            try {
+                this.hipHopAnalyzer = new HipHopRhymeAnalyzer(this);
+            } catch (error) {
+                console.warn('Failed to initialize hip-hop analyzer:', error.message);
+            }
+        }
+    }
+
+    // Build phonetic equivalence mapping for consonant substitution detection
+    buildConsonantEquivalence() {
+        this.consonantEquivalence = new Map();
+        for (const [a, b] of this.model.consonantPairs) {
+            if (!this.consonantEquivalence.has(a)) this.consonantEquivalence.set(a, new Set());
+            if (!this.consonantEquivalence.has(b)) this.consonantEquivalence.set(b, new Set());
+            this.consonantEquivalence.get(a).add(b);
+            this.consonantEquivalence.get(b).add(a);
+        }
+    }
+
+    // Normalize word input by removing punctuation while preserving contractions
+    cleanWord(word) {
+        // Input validation to prevent ReDoS
+        if (typeof word !== 'string') {
+            return '';
+        }
+        
+        if (word.length > 100) {
+            console.warn('Word length exceeds safety limit, truncating');
+            word = word.substring(0, 100);
+        }
+        
+        // Same normalization as the tokenizer: letters from any script, curly apostrophes straightened
+        return normalizeWord(word);
+    }
+
+    // Advanced grapheme-to-phoneme conversion using pattern recognition
+    // This function converts written letters into phonetic representations
+    g2pHeuristic(word) {
+        const w = word.toLowerCase();
+        const phones = [];
+        let i = 0;
+
+        // Silent final "e": "-Cle" becomes a syllabic L, and a single vowel + consonant before it is lengthened
+        let end = w.length;
+        let magicE = false;
+        let syllabicL = false;
+        if (w.length > 2 && w.endsWith('e') && /[aeiouy]/.test(w.slice(0, -1)) && !/[aeiouy]e$/.test(w)) {
+            if (/[^aeiouy]le$/.test(w) && /[aeiouy]/.test(w.slice(0, -2))) {
+                syllabicL = true;
+                end = w.length - 2;
+            } else {
+                magicE = /(^|[^aeiou])[aeiouy][bcdfgklmnpstvz]e$/.test(w);
+                end = w.length - 1;
+            }
+        }
+        const body = w.slice(0, end);
+
+        while (i < end) {
+            let matched = false;
+
+            // First priority: complex vowel patterns (eigh, ough, etc.)
+            for (const [pattern, phoneme] of VOWEL_PATTERNS) {
+                if (body.substr(i, pattern.length) === pattern) {
+                    // Stress is assigned once the whole word is known; "ar"/"or" keep their R like the dictionary
+                    const [vowel, ...rest] = phoneme.split(' ');
+                    phones.push(vowel + "0", ...rest);
+                    i += pattern.length;
+                    matched = true;
+                    break;
+                }
+            }
+
+            if (matched) continue;
+
+            // Second priority: consonant digraphs (ch, sh, th, etc.)
+            for (const [digraph, phoneme] of Object.entries(CONSONANT_DIGRAPHS)) {
+                if (body.substr(i, digraph.length) === digraph) {
+                    phones.push(phoneme);
+                    i += digraph.length;
+                    matched = true;
+                    break;
+                }
+            }
+
+            if (matched) continue;
+
+            const ch = w[i];
+
+            // Handle individual vowels (unstressed until assignStress runs)
+            if ('aeiouy'.includes(ch)) {
+                const phoneme = SIMPLE_VOWELS[ch] || "AH";
+                phones.push(phoneme + "0");
+            } else if ((ch === 'c' || ch === 'g') && i + 1 < w.length && 'eiy'.includes(w[i + 1])) {
+                // Soft c/g before front vowels (race, cider, rage) - lookahead sees the silent e too
+                phones.push(ch === 'c' ? 'S' : 'JH');
+            } else {
+                // Handle individual consonants
+                const phoneme = CONSONANT_MAP[ch];
+                if (phoneme) phones.push(phoneme);
+            }
+
+            i++;
+        }
+
+        if (syllabicL) {
+            phones.push("AH0", "L");
+        } else if (magicE) {
+            this.lengthenFinalVowel(phones, MAGIC_E_VOWELS);
+        }
+
+        // Clean up the phoneme sequence by removing empty entries and duplicate consonants
+        const filtered = phones.filter(p => p);
+        const result = [];
+        for (const phone of filtered) {
+            // Avoid duplicate consonants unless they're vowels (which can repeat for emphasis)
+            if (result.length === 0 || result[result.length - 1] !== phone || 
+                ARPA_VOWELS.has(this.normalizePhone(phone))) {
+                result.push(phone);
+            }
+        }
+
+        return this.assignStress(result, w);
+    }
+
+    // Predict which vowel of a heuristic word carries primary stress
+    // Uses affixes first, then syllable weight (Latin-style: heavy penult, else antepenult)
+    predictStressIndex(phones, vowelPositions, word) {
+        const n = vowelPositions.length;
+        if (n <= 1) return 0;
+
+        if (STRESS_ATTRACTING_SUFFIXES.some(suffix => word.endsWith(suffix))) return n - 1;
+
+        for (const [suffix, fromEnd] of PRE_STRESSING_SUFFIXES) {
+            if (word.endsWith(suffix) && n >= fromEnd) return n - fromEnd;
+        }
+
+        // Two-syllable words with a weak prefix stress the root: "begin", "debate", "amaze"
+        if (n === 2 && UNSTRESSED_PREFIXES.some(prefix =>
+            word.startsWith(prefix) && word.length > prefix.length + 2 && !'aeiouy'.includes(word[prefix.length]))) {
+            return 1;
+        }
+
+        const heavy = k => this.isHeavySyllable(phones, vowelPositions, k);
+        if (n === 2) return !heavy(0) && heavy(1) ? 1 : 0;
+        return heavy(n - 2) ? n - 2 : n - 3;
+    }
+
+    // Heavy syllables have a long vowel/diphthong or are closed by a consonant cluster
+    isHeavySyllable(phones, vowelPositions, k) {
+        const base = this.normalizePhone(phones[vowelPositions[k]]);
+        if (TENSE_VOWELS.has(base)) return true;
+
+        const next = k + 1 < vowelPositions.length ? vowelPositions[k + 1] : phones.length;
+        return next - vowelPositions[k] - 1 >= 2;
+    }
+
+    // Put primary stress on the given vowel; any previous primary becomes secondary
+    placeStress(phones, vowelOrdinal) {
+        let ordinal = 0;
+        return phones.map(phone => {
+            const base = this.normalizePhone(phone);
+            if (!ARPA_VOWELS.has(base)) return phone;
+
+            const marker = phone.slice(base.length);
+            const stress = ordinal++ === vowelOrdinal ? "1" : (marker === "1" ? "2" : (marker || "0"));
+            return base + stress;
+        });
+    }
+
+    // Stress-assignment stage for heuristic words (dictionary words keep their own stress)
+    assignStress(phones, word) {
+        const vowelPositions = [];
+        phones.forEach((phone, i) => {
+            if (ARPA_VOWELS.has(this.normalizePhone(phone))) vowelPositions.push(i);
+        });
+        if (vowelPositions.length === 0) return phones;
+
+        return this.placeStress(phones, this.predictStressIndex(phones, vowelPositions, word));
+    }
+
+    // Swap the last vowel for its long counterpart (magic e, open syllables)
+    lengthenFinalVowel(phones, vowelMap) {
+        for (let i = phones.length - 1; i >= 0; i--) {
+            const base = this.normalizePhone(phones[i]);
+            if (ARPA_VOWELS.has(base)) {
+                if (vowelMap[base]) phones[i] = vowelMap[base] + phones[i].slice(base.length);
+                return phones;
+            }
+        }
+        return phones;
+    }
+
+    // Every dictionary pronunciation of a word (primary first), without any heuristic fallback
+    lookupKnownVariants(word) {
+        // The user's own dictionary wins over everything shipped with the plugin
+        const userVariants = this.userLexicon ? this.userLexicon.lookupAll(word) : null;
+        if (userVariants) return userVariants;
+        // Check custom dictionary next for known exceptions and slang
+        if (CUSTOM_ARPA[word]) return [[...CUSTOM_ARPA[word]]];
+        // Then the bundled pronunciation lexicon, which carries real lexical stress
+        if (!this.lexicon) return null;
+        const variants = this.lexicon.lookupAll(word);
+        if (variants) return variants;
+        // Loanwords are listed without accents: "café" -> "cafe", "naïve" -> "naive"
+        const plain = word.normalize('NFD').replace(/\p{M}/gu, '');
+        return plain !== word ? this.lexicon.lookupAll(plain) : null;
+    }
+
+    // Primary dictionary pronunciation, or null when no dictionary knows the word
+    lookupKnown(word) {
+        const variants = this.lookupKnownVariants(word);
+        return variants ? variants[0] : null;
+    }
+
+    // Candidate stems for an inflected form, most likely first
+    stemCandidates(stem, suffix) {
+        if (!INFLECTIONAL_SUFFIXES.has(suffix)) return [stem];
+
+        // Doubled consonant means a short stem vowel: "running" -> "run"
+        if (/([^aeiou])\1$/.test(stem) && !/(ss|ll|ff|zz)$/.test(stem)) {
+            return [stem.slice(0, -1), stem];
+        }
+        // "cried" -> "cry"
+        if (suffix === 'ed' && stem.endsWith('i')) {
+            return [stem.slice(0, -1) + 'y', stem];
+        }
+        // Single vowel + consonant usually lost a magic e: "hated" -> "hate", "racing" -> "race"
+        if (/(^|[^aeiou])[aeiou][bcdfgklmnprstvz]$/.test(stem)) {
+            return [stem + 'e', stem];
+        }
+        return [stem, stem + 'e'];
+    }
+
+    // Phones for a suffix, resolving the -ed allomorph from the stem's final sound
+    suffixPhones(rule, stemPhones) {
+        if (rule !== "ED") return [...rule];
+
+        const last = stemPhones.length > 0 ? this.normalizePhone(stemPhones[stemPhones.length - 1]) : null;
+        if (last === "T" || last === "D") return ["IH0", "D"];
+        if (VOICELESS_CONSONANTS.has(last)) return ["T"];
+        return ["D"];
+    }
+
+    // Morphology-aware grapheme-to-phoneme conversion: peel known affixes, convert the stem, reattach
+    g2pMorphology(word, depth = 0) {
+        const known = this.lookupKnown(word);
+        if (known) return known;
+
+        if (depth < 2) {
+            for (const [suffix, rule] of SUFFIX_RULES) {
+                if (!word.endsWith(suffix)) continue;
+
+                const stem = word.slice(0, -suffix.length);
+                if (stem.length < 2 || !/[aeiouy]/.test(stem)) continue;
+                // "need", "freed" end in -eed, which is not the -ed suffix
+                if (suffix === 'ed' && stem.endsWith('e')) continue;
+
+                // Open syllable before -tion/-sion is long: "nation", "explosion" (but not "position")
+                const openSyllable = /(tion|sion)$/.test(suffix) && /[^aeiou][aeou]$/.test(stem);
+                let stemPhones;
+                if (openSyllable) {
+                    // A bare "na" or "mo" is not a real stem, so skip the dictionaries here
+                    stemPhones = this.lengthenFinalVowel(this.g2pHeuristic(stem), OPEN_SYLLABLE_VOWELS);
+                } else {
+                    const candidates = this.stemCandidates(stem, suffix);
+                    const chosen = candidates.find(c => this.lookupKnown(c)) || candidates[0];
+                    stemPhones = this.g2pMorphology(chosen, depth + 1);
+                }
+                // -tion, -sion and -cious always stress the syllable right before them
+                if (PRE_STRESSING_RULES.has(suffix)) {
+                    const vowels = stemPhones.filter(p => ARPA_VOWELS.has(this.normalizePhone(p))).length;
+                    if (vowels > 0) stemPhones = this.placeStress(stemPhones, vowels - 1);
+                }
+                // -sion after a consonant is voiceless: "tension", "version"
+                const rulePhones = suffix === 'sion' && !/[aeiou]$/.test(stem) ? ["SH", "AH0", "N"] : rule;
+
+                return [...stemPhones, ...this.suffixPhones(rulePhones, stemPhones)];
+            }
+
+            // Dropped-g slang without an apostrophe: "chillin" sounds like "chilling" with N
+            if (word.endsWith('in') && word.length > 4) {
+                const full = this.lookupKnown(word + 'g');
+                if (full && full[full.length - 1] === "NG") return [...full.slice(0, -1), "N"];
+            }
+
+            for (const [prefix, prefixPhones] of PREFIX_RULES) {
+                if (!word.startsWith(prefix)) continue;
+
+                const rest = word.slice(prefix.length);
+                const restPhones = rest.length >= 3 ? this.lookupKnown(rest) : null;
+                if (restPhones) return [...prefixPhones, ...restPhones];
+            }
+        }
+
+        // Fall back to heuristic conversion for unknown words
+        return this.g2pHeuristic(word);
+    }
+
+    // Load the bundled and user dictionaries (each only once)
+    async ensureLexicons() {
+        if (this.lexicon) await this.lexicon.ensureLoaded();
+        if (this.userLexicon) await this.userLexicon.ensureLoaded();
+    }
+
+    // Validate user-entered pronunciations, variants separated by "|" ("r iy1 d | r eh1 d")
+    parsePronunciations(text, word = '') {
+        const variants = String(text).split('|').filter(v => v.trim());
+        if (variants.length === 0) {
+            throw new Error('Enter at least one phone');
+        }
+        return variants.map(v => this.parsePronunciation(v, word));
+    }
+
+    // Validate user-entered ARPAbet ("b r uw1") and fill in stress if none was given
+    parsePronunciation(text, word = '') {
+        const phones = String(text).trim().toUpperCase().split(/[\s,]+/).filter(p => p);
+        if (phones.length === 0) {
+            throw new Error('Enter at least one phone');
+        }
+
+        for (const phone of phones) {
+            const base = this.normalizePhone(phone);
+            const marker = phone.slice(base.length);
+            const isVowel = ARPA_VOWELS.has(base);
+            if ((!isVowel && !ARPA_CONSONANTS.has(base)) || !/^[012]?$/.test(marker) || (marker && !isVowel)) {
+                throw new Error(`Unknown phone "${phone}"`);
+            }
+        }
+
+        if (!phones.some(p => ARPA_VOWELS.has(this.normalizePhone(p)))) {
+            throw new Error('A pronunciation needs at least one vowel');
+        }
+
+        // Without an explicit primary stress, let the stress predictor decide
+        return phones.some(p => p.endsWith('1')) ? phones : this.assignStress(phones, word);
+    }
+
+    // Select the accent profile for subsequent lookups (per-note override, else the global setting)
+    useAccent(name) {
+        this.accent = resolveAccentProfile(name || this.settings.accentProfile || DEFAULT_ACCENT);
+    }
+
+    // Convert word to phonetic representation using best available method
+    wordToPhones(word) {
+        const cleaned = this.cleanWord(word);
+        // Dictionaries first, then affix-aware rules, then the letter-by-letter heuristic
+        return applyAccentProfile(this.g2pMorphology(cleaned), cleaned, this.accent);
+    }
+
+    // Dictionary/rule pronunciations before any accent reshaping (what the user lexicon stores)
+    rawPhoneVariants(word) {
+        const cleaned = this.cleanWord(word);
+        return this.lookupKnownVariants(cleaned) || [this.g2pMorphology(cleaned)];
+    }
+
+    // All plausible pronunciations of a word (homographs like "read" or "wind" have several)
+    // Non-English tokens use their own spelling rules; English accent profiles don't apply to them
+    wordToPhoneVariants(word, lang = 'en') {
+        const cleaned = this.cleanWord(word);
+        if (lang !== 'en') {
+            const userVariants = this.userLexicon ? this.userLexicon.lookupAll(cleaned) : null;
+            if (userVariants) return userVariants;
+            if (CUSTOM_ARPA[cleaned]) return [[...CUSTOM_ARPA[cleaned]]];
+            const phones = phonesForLanguage(cleaned, lang);
+            if (phones) return [phones];
+        }
+        return this.rawPhoneVariants(cleaned).map(phones => applyAccentProfile(phones, cleaned, this.accent));
+    }
+
+    // Known to any English dictionary (user, custom slang or the bundled lexicon)
+    isEnglishWord(word) {
+        return Boolean(CUSTOM_ARPA[word] ||
+            (this.lexicon && this.lexicon.has(word)) ||
+            (this.userLexicon && this.userLexicon.has(word)));
+    }
+
+    // Tag every token with a language for code-switched lyrics
+    // Word lists and the English dictionary settle most tokens; words nobody knows follow the note's
+    // "lang:" hint; words valid in both languages ("die", "my") follow their neighbours on the line
+    tagLanguages(words, options = {}) {
+        const hinted = (Array.isArray(options.lang) ? options.lang : String(options.lang || '').split(/[,\s]+/))
+            .map(languageCode)
+            .filter(Boolean);
+        const noteLanguage = hinted.find(lang => lang !== 'en') || 'en';
+        const englishFirst = hinted.length === 0 || hinted.includes('en');
+
+        const pending = [];
+        words.forEach((word, i) => {
+            // A note's own languages win when several word lists claim the token
+            const candidates = listedLanguages(word.lower);
+            const listed = candidates.find(lang => hinted.includes(lang)) || candidates[0] || null;
+            const english = this.isEnglishWord(word.lower);
+
+            if (listed && !english) {
+                word.lang = listed;
+            } else if (english && !listed && englishFirst) {
+                word.lang = 'en';
+            } else if (!listed && !english) {
+                word.lang = noteLanguage;
+            } else {
+                word.lang = null;
+                pending.push(i);
+            }
+        });
+
+        for (const i of pending) {
+            const neighbours = [words[i - 1], words[i + 1]]
+                .filter(w => w && w.line === words[i].line && w.lang);
+            const foreign = neighbours.find(w => w.lang !== 'en');
+            words[i].lang = foreign ? foreign.lang : (neighbours.length > 0 ? 'en' : noteLanguage);
+        }
+    }
+
+    // Homographs take the pronunciation that rhymes best with words on nearby lines
+    // The primary pronunciation is kept unless an alternative with another stressed vowel is within the
+    // slant threshold. Stop words and function words keep theirs
+    selectPronunciationVariants(words, lines = null) {
+        const wordsByLine = new Map();
+        words.forEach((w, i) => {
+            if (!wordsByLine.has(w.line)) wordsByLine.set(w.line, []);
+            wordsByLine.get(w.line).push(i);
+        });
+        // Neighbours are compared by their primary reading, even once their own variant has been chosen
+        const primaryPhones = words.map(w => w.phones);
+        const primaryKeys = j => this.rhymeKeys(primaryPhones[j]);
+        const usedKeys = new Set();
+
+        words.forEach((word, i) => {
+            if (word.variants.length < 2 || STOP_WORDS.has(word.lower) || FUNCTION_WORDS.has(word.lower)) return;
+            const primary = this.rhymeKeys(word.variants[0]).key;
+
+            // The choice depends only on the surrounding lines, so with the note's lines at hand it is
+            // cached by their text and the word's place among them
+            let cacheKey = null;
+            if (lines) {
+                const first = Math.max(0, word.line - VARIANT_CONTEXT_LINES);
+                const place = wordsByLine.get(word.line).indexOf(i);
+                cacheKey = `${word.line - first}:${place}\n` +
+                    lines.slice(first, word.line + VARIANT_CONTEXT_LINES + 1).join('\n');
+            }
+            let chosen;
+            if (cacheKey !== null) {
+                usedKeys.add(cacheKey);
+                chosen = this.variantCache.get(cacheKey);
+            }
+
+            if (chosen === undefined) {
+                let best = { index: 0, score: Infinity, distance: Infinity };
+                word.variants.forEach((phones, v) => {
+                    const { key, text } = this.rhymeKeys(phones);
+                    // A variant that keeps the stressed vowel rhymes about the same as the primary reading
+                    if (!key || (v > 0 && primary && key[0] === primary[0])) return;
+
+                    for (let line = word.line - VARIANT_CONTEXT_LINES; line <= word.line + VARIANT_CONTEXT_LINES; line++) {
+                        for (const j of wordsByLine.get(line) || []) {
+                            if (j === i || words[j].lower === word.lower) continue;
+                            const other = primaryKeys(j);
+                            if (!other.key) continue;
+                            // Closer lines are stronger evidence for a particular reading
+                            const distance = this.keyDistance(key, text, other.key, other.text);
+                            const score = distance + VARIANT_LINE_PENALTY * Math.abs(line - word.line);
+                            if (score < best.score) best = { index: v, score, distance };
+                        }
+                    }
+                });
+                chosen = best.index > 0 && best.distance <= this.settings.slantThreshold ? best.index : 0;
+                if (cacheKey !== null) this.variantCache.set(cacheKey, chosen);
+            }
+
+            if (chosen > 0) {
+                const [syllables, stress] = this.syllabify(word.variants[chosen]);
+                Object.assign(word, {
+                    phones: [...word.variants[chosen]],
+                    syllables,
+                    stress,
+                    variantIndex: chosen
+                });
+            }
+        });
+
+        if (this.variantCache.size > 2 * usedKeys.size + LINE_CACHE_SLACK) {
+            for (const key of this.variantCache.keys()) {
+                if (!usedKeys.has(key)) this.variantCache.delete(key);
+            }
+        }
+    }
+
+    // Split phoneme sequence into syllables and identify stress patterns
+    // Syllables are fundamental units for rhyme analysis
+    syllabify(phones) {
+        const syllables = [];
+        let current = [];
+        let stressIndex = null;
+
+        for (const phone of phones) {
+            const base = this.normalizePhone(phone);
+            
+            // Vowels mark syllable boundaries and carry stress information
+            if (ARPA_VOWELS.has(base)) {
+                if (current.length > 0) {
+                    syllables.push(current);
+                }
+                current = [phone];
+                // Check for primary stress marker
+                if (phone.endsWith("1")) {
+                    stressIndex = syllables.length;
+                }
+            } else {
+                // Consonants attach to the current syllable
+                current.push(phone);
+            }
+        }
+
+        if (current.length > 0) {
+            syllables.push(current);
+        }
+
+        // Default to final syllable stress if no explicit stress found
+        if (stressIndex === null && syllables.length > 0) {
+            stressIndex = syllables.length - 1;
+        }
+
+        return [syllables, stressIndex];
+    }
+
+    // Remove stress and tone markers from phonemes for comparison
+    normalizePhone(phone) {
+        return phone.replace(/\d/g, '');
+    }
+
+    countVowels(phones) {
+        return phones.filter(phone => ARPA_VOWELS.has(this.normalizePhone(phone))).length;
+    }
+
+    // Normalize consonant clusters for more flexible rhyme matching
+    normalizeCoda(coda) {
+        // Map voiced consonants to their unvoiced equivalents for slant rhyme detection
+        // (the feature metric grades voicing itself, so it keeps the difference)
+        const fold = this.settings.codaMetric === 'pairs' ? this.model.voicingFold : {};
+
+        let result = coda.map(c => fold[this.normalizePhone(c)] || this.normalizePhone(c));
+        
+        // Remove trailing aspiration which doesn't affect rhyme perception
+        if (result.length > 0 && result[result.length - 1] === "HH") {
+            result = result.slice(0, -1);
+        }
+
+        return result;
+    }
+
+    // Group vowels into families for assonance detection
+    getVowelFamily(vowel) {
+        // -1 for vowels outside every family
+        return this.model.vowelFamilies.findIndex(family => family.includes(vowel));
+    }
+
+    // Extract the rhyme key (nucleus + coda) from syllable structure
+    // This is the core unit used for rhyme comparison
+    getRhymeKey(syllables, stressIndex) {
+        if (syllables.length === 0) return null;
+
+        const index = stressIndex !== null ? stressIndex : syllables.length - 1;
+        const clampedIndex = Math.max(0, Math.min(index, syllables.length - 1));
+
+        // Extract nucleus (vowel) and coda (following consonants) from syllable
+        const extractNucleusAndCoda = (syllable) => {
+            let nucleus = null;
+            const coda = [];
+
+            for (const phone of syllable) {
+                const base = this.normalizePhone(phone);
+                if (ARPA_VOWELS.has(base)) {
+                    nucleus = VOWEL_CLASSES[base] || base;
+                } else if (nucleus !== null) {
+                    coda.push(base);
+                }
+            }
+
+            return [nucleus, coda];
+        };
+
+        const [nucleus, coda] = extractNucleusAndCoda(syllables[clampedIndex]);
+        let finalNucleus = nucleus;
+        let finalCoda = [...coda];
+
+        // For weak codas, include the previous syllable to capture more of the rhyme
+        // This handles cases like "running" and "coming" where the rhyme spans syllables
+        const weakCodeas = new Set([["S"], ["Z"], ["R"], ["L"], ["T"], ["D"], ["N"], ["M"]]);
+        const codaKey = JSON.stringify(coda);
+        const isWeakCoda = coda.length <= 1 || Array.from(weakCodeas).some(weak => 
+            JSON.stringify(weak) === codaKey
+        );
+
+        if (isWeakCoda && clampedIndex > 0) {
+            const [prevNucleus, prevCoda] = extractNucleusAndCoda(syllables[clampedIndex - 1]);
+            if (prevNucleus) {
+                finalNucleus = prevNucleus + "+" + (nucleus || "");
+            }
+            finalCoda = [...prevCoda, ...coda];
+        }
+
+        return finalNucleus ? [finalNucleus, this.normalizeCoda(finalCoda)] : null;
+    }
+
+    // Generate multi-syllabic rhyme keys for complex rhyme patterns
+    getMultisyllabicKey(syllables, tail) {
+        if (syllables.length === 0 || tail <= 0) return null;
+
+        const actualTail = Math.min(tail, syllables.length);
+        const keyParts = [];
+
+        // Collect phonemes from the last 'tail' syllables
+        for (let i = syllables.length - actualTail; i < syllables.length; i++) {
+            for (const phone of syllables[i]) {
+                const base = this.normalizePhone(phone);
+                if (ARPA_VOWELS.has(base)) {
+                    keyParts.push(VOWEL_CLASSES[base] || base);
+                } else {
+                    keyParts.push(base);
+                }
+            }
+        }
+
+        return keyParts.length > 0 ? keyParts.join("-") : null;
+    }
+
+    // Calculate phonetic distance between vowel nuclei with the configured metric
+    nucleusDistance(n1, n2) {
+        return this.settings.nucleusMetric === 'families'
+            ? this.familyNucleusDistance(n1, n2)
+            : this.featureNucleusDistance(n1, n2);
+    }
+
+    // Graded vowel distance from height, backness, rounding and r-colouring
+    featureNucleusDistance(n1, n2) {
+        if (n1 === n2) return 0.0;
+
+        // Compound nuclei ("A+UH") are compared on the final vowel, with a small cost if the rest differs
+        const a = n1.split("+").pop() || n1;
+        const b = n2.split("+").pop() || n2;
+        return Math.min(1.0, this.vowelFeatureDistance(a, b) + (a === b ? 0.05 : 0));
+    }
+
+    // 0 for identical vowels up to 1; diphthongs are compared target by target
+    vowelFeatureDistance(a, b) {
+        if (a === b) return 0.0;
+        const f1 = VOWEL_FEATURES[a];
+        const f2 = VOWEL_FEATURES[b];
+        if (!f1 || !f2) return 1.0;
+
+        const w = this.model.vowelFeatureWeights;
+        const targetDistance = (t1, t2) =>
+            w.height * Math.abs(t1[0] - t2[0]) +
+            w.backness * Math.abs(t1[1] - t2[1]) +
+            w.rounding * Math.abs(t1[2] - t2[2]);
+
+        const onset = targetDistance(f1[0], f2[0]);
+        const offset = targetDistance(f1[f1.length - 1], f2[f2.length - 1]);
+        const rhotic = RHOTIC_VOWELS.has(a) !== RHOTIC_VOWELS.has(b) ? w.rhoticity : 0;
+
+        return Math.min(1.0, ((onset + offset) / 2 + rhotic) * FEATURE_DISTANCE_SCALE);
+    }
+
+    // 0 for identical consonants up to 1, from place, manner and voicing
+    consonantFeatureDistance(a, b) {
+        if (a === b) return 0.0;
+        const f1 = CONSONANT_FEATURES[a];
+        const f2 = CONSONANT_FEATURES[b];
+        if (!f1 || !f2) return 1.0;
+
+        const w = this.model.consonantFeatureWeights;
+        const raw = w.place * Math.abs(f1[0] - f2[0]) +
+            w.manner * Math.abs(f1[1] - f2[1]) +
+            w.voicing * Math.abs(f1[2] - f2[2]);
+        return Math.min(1.0, raw * FEATURE_DISTANCE_SCALE);
+    }
+
+    // Classic bucketed vowel distance: exact, same final vowel, same family or different
+    familyNucleusDistance(n1, n2) {
+        if (n1 === n2) return 0.0; // Perfect match
+
+        // Handle compound nuclei by comparing the final vowel
+        const a = n1.split("+").pop() || n1;
+        const b = n2.split("+").pop() || n2;
+
+        if (a === b) return 0.05; // Very close match
+
+        // Check if vowels belong to the same phonetic family
+        if (this.getVowelFamily(a) === this.getVowelFamily(b)) {
+            return 0.25; // Same family, moderate similarity
+        }
+
+        return 0.6; // Different families, low similarity
+    }
+
+    // Calculate phonetic distance between consonant codas with the configured metric
+    codaDistance(c1, c2) {
+        return this.settings.codaMetric === 'pairs'
+            ? this.pairCodaDistance(c1, c2)
+            : this.featureCodaDistance(c1, c2);
+    }
+
+    // Graded coda distance: each aligned consonant costs its feature distance instead of 0 or 1
+    featureCodaDistance(c1, c2) {
+        if (JSON.stringify(c1) === JSON.stringify(c2)) return 0.0;
+        if (c1.length === 0 || c2.length === 0) return 0.6; // One empty coda
+
+        const minLength = Math.min(c1.length, c2.length);
+        let mismatches = 0;
+
+        // Compare consonants from the end (most important for rhyme perception)
+        for (let i = 0; i < minLength; i++) {
+            mismatches += this.consonantFeatureDistance(c1[c1.length - 1 - i], c2[c2.length - 1 - i]);
+        }
+
+        mismatches += Math.abs(c1.length - c2.length) * 0.5;
+        return Math.min(1.0, mismatches * 0.35);
+    }
+
+    // Classic coda distance: consonants match exactly, through the model's consonant pairs, or not at all
+    pairCodaDistance(c1, c2) {
+        if (JSON.stringify(c1) === JSON.stringify(c2)) return 0.0; // Perfect match
+        if (c1.length === 0 || c2.length === 0) return 0.6; // One empty coda
+
+        const minLength = Math.min(c1.length, c2.length);
+        let mismatches = 0;
+
+        // Compare consonants from the end (most important for rhyme perception)
+        for (let i = 0; i < minLength; i++) {
+            const a = c1[c1.length - 1 - i];
+            const b = c2[c2.length - 1 - i];
+            
+            // Check for exact match or equivalent consonants
+            if (a === b || (this.consonantEquivalence.get(a)?.has(b) ?? false)) {
+                continue;
+            }
+            mismatches++;
+        }
+
+        // Penalize length differences
+        mismatches += Math.abs(c1.length - c2.length) * 0.5;
+        return Math.min(1.0, mismatches * 0.35);
+    }
+
+    // Calculate overall rhyme distance combining nucleus and coda similarities
+    // Memoized: a note only has a few hundred distinct rhyme keys, so most comparisons repeat
+    rhymeDistance(k1, k2) {
+        return this.keyDistance(k1, this.keyText(k1), k2, this.keyText(k2));
+    }
+
+    // Rhyme key, its text and the multi-syllabic keys of a pronunciation, memoized by its phones
+    rhymeKeys(phones) {
+        const id = phones.join(' ');
+        let keys = this.keyCache.get(id);
+        if (!keys) {
+            const [syllables, stress] = this.syllabify(phones);
+            const key = this.getRhymeKey(syllables, stress);
+
+            // Multi-syllabic patterns for sophisticated rhyme detection
+            const multiKeys = {};
+            for (let t = 2; t < Math.min(4, syllables.length + 1); t++) {
+                const multiKey = this.getMultisyllabicKey(syllables, t);
+                if (multiKey) {
+                    multiKeys[t] = multiKey;
+                }
+            }
+
+            keys = { key, text: key ? this.keyText(key) : null, multiKeys };
+            this.keyCache.set(id, keys);
+        }
+        return keys;
+    }
+
+    // Rhyme key as text ("EYE T"), the memo key for distances
+    keyText(key) {
+        return key[1].length > 0 ? `${key[0]} ${key[1].join(' ')}` : key[0];
+    }
+
+    // rhymeDistance for keys whose text is already known
+    keyDistance(k1, text1, k2, text2) {
+        let row = this.distanceCache.get(text1);
+        if (!row) {
+            row = new Map();
+            this.distanceCache.set(text1, row);
+        }
+        let distance = row.get(text2);
+        if (distance === undefined) {
+            // Weight nucleus more heavily than coda for rhyme perception (0.7/0.3 unless the model says otherwise)
+            const { nucleus, coda } = this.model.weights;
+            distance = (nucleus * this.nucleusDistance(k1[0], k2[0]) + coda * this.codaDistance(k1[1], k2[1])) /
+                (nucleus + coda);
+            row.set(text2, distance);
+        }
+        return distance;
+    }
+
+    // Loosest rhyme distance for two spans, by whether each one ends its line
+    rhymeThreshold(lineEnd1, lineEnd2) {
+        if (lineEnd1 && lineEnd2) return this.settings.perfectThreshold; // Strictest for end rhymes
+        if (lineEnd1 || lineEnd2) return (this.settings.perfectThreshold + this.settings.slantThreshold) / 2;
+        return this.settings.slantThreshold; // Most lenient for internal rhymes
+    }
+
+    // Kind of rhyme two words make, word1 being the earlier one, compared from the stressed vowel to the end
+    // of each word. confidence runs 0-1 from the weighted vowel and consonant distances of those parts.
+    // Checked from the most specific:
+    //   identity       the onset before the stress sounds the same too ("leave"/"believe")
+    //   multisyllabic  two or more syllables from the stress with the same vowels ("wasted"/"tasted")
+    //   perfect        the same sounds from the stressed vowel on ("cat"/"hat")
+    //   additive       the second adds consonants at the end ("fine"/"find"); subtractive drops them
+    //   family         consonants differ only in voicing ("cat"/"bad")
+    //   slant          other consonants close enough ("cat"/"cap"), or different vowels and consonants
+    //   assonance      the same stressed vowel with consonants far apart
+    //   consonance     the same consonants after different vowels ("cat"/"cut")
+    // parts1 and parts2 are the words' rhymeParts, for callers classifying many pairs of the same words
+    classifyRhymePair(word1, word2, parts1 = this.rhymeParts(word1), parts2 = this.rhymeParts(word2)) {
+        if (parts1.vowel === null || parts2.vowel === null) return { type: 'slant', confidence: 0 };
+
+        const { vowel: vowel1, rest: rest1, consonants: consonants1 } = parts1;
+        const { vowel: vowel2, rest: rest2, consonants: consonants2 } = parts2;
+        const { nucleus, coda } = this.model.weights;
+        const codaDistance = this.cachedCodaDistance(parts1.consonantsText, consonants1, parts2.consonantsText, consonants2);
+        const distance = (nucleus * this.cachedNucleusDistance(parts1.vowelClass, parts2.vowelClass) +
+            coda * codaDistance) / (nucleus + coda);
+        const confidence = Math.max(0, 1 - distance);
+
+        const sameRest = parts1.restText === parts2.restText;
+        let type;
+        if (vowel1 === vowel2 && sameRest && parts1.onsetText === parts2.onsetText) {
+            type = 'identity';
+        } else if (parts1.vowelCount >= 2 && parts1.vowelsText === parts2.vowelsText) {
+            type = 'multisyllabic';
+        } else if (vowel1 !== vowel2) {
+            type = sameRest && consonants1.length > 0 ? 'consonance' : 'slant';
+        } else if (sameRest) {
+            type = 'perfect';
+        } else if (rest1.length < rest2.length && rest1.every((phone, i) => rest2[i] === phone)) {
+            type = 'additive';
+        } else if (rest2.length < rest1.length && rest2.every((phone, i) => rest1[i] === phone)) {
+            type = 'subtractive';
+        } else if (rest1.length === rest2.length &&
+            rest1.every((phone, i) => phone === rest2[i] || differsInVoicing(phone, rest2[i]))) {
+            type = 'family';
+        } else {
+            type = codaDistance <= ASSONANCE_CODA_DISTANCE ? 'slant' : 'assonance';
+        }
+        return { type, confidence };
+    }
+
+    // What classifyRhymePair compares of a word, from its stressedPart: the stressed vowel (null if there is
+    // none) and its class, the phones after it and their consonants, and those, the onset and the vowels as text
+    rhymeParts(word) {
+        const [onset, rhyme] = this.stressedPart(word);
+        const [vowel = null, ...rest] = rhyme;
+        const vowels = rhyme.filter(phone => ARPA_VOWELS.has(phone));
+        const consonants = rest.filter(phone => !ARPA_VOWELS.has(phone));
+        return {
+            vowel,
+            vowelClass: vowel === null ? null : VOWEL_CLASSES[vowel] || vowel,
+            rest,
+            restText: rest.join(' '),
+            consonants,
+            consonantsText: consonants.join(' '),
+            onsetText: onset.join(' '),
+            vowelCount: vowels.length,
+            vowelsText: vowels.join(' ')
+        };
+    }
+
+    // A word's [onset, rhyme] around its stress, without stress marks: the consonants before the stressed
+    // vowel, and everything from that vowel on. Syllables start at their vowel, so the onset is the run
+    // of consonants ending the syllable before
+    stressedPart(word) {
+        const stressIndex = Math.max(0, word.stress !== null ? word.stress : word.syllables.length - 1);
+        const before = stressIndex > 0 ? word.syllables[stressIndex - 1] : [];
+        let onsetStart = before.length;
+        while (onsetStart > 0 && !ARPA_VOWELS.has(this.normalizePhone(before[onsetStart - 1]))) onsetStart--;
+
+        const normalize = phones => phones.map(phone => this.normalizePhone(phone));
+        const rest = normalize(word.syllables.slice(stressIndex).flat());
+        const vowelAt = rest.findIndex(phone => ARPA_VOWELS.has(phone));
+        return vowelAt < 0
+            ? [[], []]
+            : [[...normalize(before.slice(onsetStart)), ...rest.slice(0, vowelAt)], rest.slice(vowelAt)];
+    }
+
+    // Vowels of the stressed syllable and the ones after it
+    stressedVowels(word) {
+        const [, rhyme] = this.stressedPart(word);
+        return rhyme.filter(phone => ARPA_VOWELS.has(phone));
+    }
+
+    // The key index lists, for every rhyme key the analyzer has seen, the keys within the loosest
+    // threshold of it and their distances. It lives as long as the analyzer, so a re-analysis only
+    // measures keys it hasn't seen against the known ones: after a small edit that is a handful of keys
+    emptyKeyIndex() {
+        return {
+            near: new Map(), // Key text -> key text -> keyDistance the closer way round, within the threshold
+            byNucleus: new Map() // Nucleus -> key text -> key
+        };
+    }
+
+    updateKeyIndex(entries) {
+        const current = new Map(entries.map(entry => [entry.keyText, entry.key]));
+
+        // Forget keys from old text once they outnumber the live ones
+        if (this.keyIndex.near.size > 2 * current.size + KEY_INDEX_SLACK) this.keyIndex = this.emptyKeyIndex();
+        const { near, byNucleus } = this.keyIndex;
+        const threshold = Math.max(this.settings.perfectThreshold, this.settings.slantThreshold);
+        const { nucleus, coda } = this.model.weights;
+
+        for (const [keyText, key] of current) {
+            if (near.has(keyText)) continue;
+            if (!byNucleus.has(key[0])) byNucleus.set(key[0], new Map());
+            byNucleus.get(key[0]).set(keyText, key);
+            near.set(keyText, new Map());
+
+            for (const [vowel, keys] of byNucleus) {
+                // The coda part of a distance is never negative, so a nucleus too far away on its own
+                // rules out its whole bucket (nucleus distances are symmetric)
+                if (nucleus * this.cachedNucleusDistance(key[0], vowel) / (nucleus + coda) > threshold) continue;
+                // Distances needn't be symmetric, so two keys are as near as the closer direction makes them
+                for (const [otherText, otherKey] of keys) {
+                    const distance = Math.min(this.keyDistance(key, keyText, otherKey, otherText),
+                        this.keyDistance(otherKey, otherText, key, keyText));
+                    if (distance > threshold) continue;
+                    near.get(keyText).set(otherText, distance);
+                    near.get(otherText).set(keyText, distance);
+                }
+            }
+        }
+    }
+
+    cachedNucleusDistance(n1, n2) {
+        let row = this.nucleusCache.get(n1);
+        if (!row) {
+            row = new Map();
+            this.nucleusCache.set(n1, row);
+        }
+        let distance = row.get(n2);
+        if (distance === undefined) {
+            distance = this.nucleusDistance(n1, n2);
+            row.set(n2, distance);
+        }
+        return distance;
+    }
+
+    cachedCodaDistance(text1, c1, text2, c2) {
+        let row = this.codaCache.get(text1);
+        if (!row) {
+            row = new Map();
+            this.codaCache.set(text1, row);
+        }
+        let distance = row.get(text2);
+        if (distance === undefined) {
+            distance = this.codaDistance(c1, c2);
+            row.set(text2, distance);
+        }
+        return distance;
+    }
+
+    // Rhyme links among the word signatures of the last analysis (see clusterRhymes): a record per
+    // signature with partners, record -> similarity, both ways round, and pairs, partner record -> the
+    // classifyRhymePair of this word then the partner's, filled in by rhymeGroupPairs. A link only depends
+    // on its two signatures, so a re-analysis drops the signatures that left the text and links the new
+    // ones: after a small edit, a handful of words. Points each node at its record
+    updateRhymeLinks(nodes) {
+        const links = this.rhymeLinks;
+        const current = new Set(nodes.map(node => node.signature));
+        for (const [signature, record] of links) {
+            if (current.has(signature)) continue;
+            for (const partner of record.partners.keys()) {
+                partner.partners.delete(record);
+                partner.pairs.delete(record);
+            }
+            links.delete(signature);
+        }
+        const added = [];
+        for (const node of nodes) {
+            if (!links.has(node.signature)) {
+                links.set(node.signature, { node, partners: new Map(), pairs: new Map() });
+                added.push(node);
+            }
+            node.record = links.get(node.signature);
+            node.record.node = node;
+        }
+        if (added.length === 0) return;
+
+        // Candidates come from buckets by multi-syllabic key, and by rhyme key and line position for the
+        // keys the key index lists as near
+        const byKey = new Map(); // Key text -> { end, mid } nodes
+        const byMultiKey = { 2: new Map(), 3: new Map() }; // Tail -> multi-syllabic key -> nodes
+        for (const node of nodes) {
+            const { entry } = node;
+            if (!byKey.has(entry.keyText)) byKey.set(entry.keyText, { end: [], mid: [] });
+            byKey.get(entry.keyText)[entry.lineEnd ? 'end' : 'mid'].push(node);
+            for (const tail of [2, 3]) {
+                const multiKey = entry.multiKeys[tail];
+                if (!multiKey) continue;
+                if (!byMultiKey[tail].has(multiKey)) byMultiKey[tail].set(multiKey, []);
+                byMultiKey[tail].get(multiKey).push(node);
+            }
+        }
+        const link = (node, other, similarity) => {
+            if (node.entry.lower === other.entry.lower) return;
+            const partners = node.record.partners;
+            if (partners.get(other.record) >= similarity) return;
+            partners.set(other.record, similarity);
+            other.record.partners.set(node.record, similarity);
+        };
+        for (const node of added) {
+            const { entry } = node;
+            for (const tail of [2, 3]) {
+                const multiKey = entry.multiKeys[tail];
+                if (!multiKey) continue;
+                for (const other of byMultiKey[tail].get(multiKey)) link(node, other, 1);
+            }
+            for (const [keyText, distance] of this.keyIndex.near.get(entry.keyText)) {
+                const buckets = byKey.get(keyText);
+                if (!buckets) continue;
+                for (const lineEnd of [true, false]) {
+                    if (distance > this.rhymeThreshold(entry.lineEnd, lineEnd)) continue;
+                    for (const other of lineEnd ? buckets.end : buckets.mid) link(node, other, 1 - distance);
+                }
+            }
+        }
+    }
+
+    // Rhyme groups as { spans, nodes }: span indices in document order, and the group's rhyme nodes by
+    // their first span. Two spans of different words rhyme when they share a 3- or 2-syllable key (similarity
+    // 1) or their rhyme keys are within the threshold for their line positions (similarity 1 - distance).
+    // Copies of a word in the same line position rhyme with the same spans, so they start out as one node,
+    // and the nodes are clustered by linkRhymeNodes. That only sees the words and how often each occurs, so
+    // an edit that changes neither keeps the last clusters. Otherwise clustering starts from the last
+    // clusters, less the words that changed, with those and new words alone: after a small edit it only
+    // has a few merges to make. Once the changes since every word last started out alone add up to
+    // RHYME_RECLUSTER_DRIFT of the words, they all do again
+    clusterRhymes(matchEntries) {
+        const nodes = [];
+        const nodeOf = new Map(); // Signature -> node
+        matchEntries.forEach((entry, index) => {
+            const signature = [entry.lower, entry.lineEnd ? 'end' : 'mid', entry.keyText,
+                entry.multiKeys[2] || '', entry.multiKeys[3] || ''].join('|');
+            let node = nodeOf.get(signature);
+            if (!node) {
+                node = { entry, signature, spans: [] };
+                nodeOf.set(signature, node);
+                nodes.push(node);
+            }
+            node.spans.push(index);
+        });
+        // Numbered in signature order, so node numbers can break ties
+        nodes.sort((x, y) => (x.signature < y.signature ? -1 : 1));
+        nodes.forEach((node, id) => { node.id = id; });
+        this.updateRhymeLinks(nodes);
+
+        const last = this.rhymeClusters;
+        const changed = new Set(nodes
+            .filter(node => !last || last.counts.get(node.signature) !== node.spans.length)
+            .map(node => node.signature));
+        if (last) {
+            for (const signature of last.counts.keys()) {
+                if (!nodeOf.has(signature)) changed.add(signature);
+            }
+        }
+        if (!last || changed.size > 0) {
+            const drift = last ? last.drift + changed.size : 0;
+            const fresh = !last || drift > RHYME_RECLUSTER_DRIFT * nodes.length;
+            let start = nodes.map(node => [node]);
+            if (!fresh) {
+                const kept = last.clusters.map(signatures => signatures
+                    .filter(signature => !changed.has(signature))
+                    .map(signature => nodeOf.get(signature)));
+                const keptNodes = new Set(kept.flat());
+                start = kept.filter(cluster => cluster.length > 0)
+                    .concat(nodes.filter(node => !keptNodes.has(node)).map(node => [node]));
+            }
+            this.rhymeClusters = {
+                counts: new Map(nodes.map(node => [node.signature, node.spans.length])),
+                clusters: this.linkRhymeNodes(nodes, start).map(cluster => cluster.map(node => node.signature)),
+                drift: fresh ? 0 : drift
+            };
+        }
+
+        return this.rhymeClusters.clusters.map(signatures => {
+            const groupNodes = signatures.map(signature => nodeOf.get(signature))
+                .sort((x, y) => x.spans[0] - y.spans[0]);
+            return { spans: groupNodes.flatMap(node => node.spans).sort((x, y) => x - y), nodes: groupNodes };
+        }).sort((x, y) => x.spans[0] - y.spans[0]);
+    }
+
+    // Rhyme groups from clusterRhymes with their spans, the number of rhyming pairs of words in each, the
+    // count of each kind of pair and the closest pairs. A long note has hundreds of thousands of pairs, so a
+    // group only carries RHYME_GROUP_PAIRS of them, the earliest first among equals. What a group carries
+    // only depends on its words and their order, so it is cached by those, and each pair's kind is kept on
+    // the rhyme links (see updateRhymeLinks) for when a group changes
+    rhymeGroupPairs(clusters, spans, words) {
+        const rhymeParts = new Array(words.length).fill(null); // Each word's, once it is in a pair
+        const partsOf = i => rhymeParts[i] || (rhymeParts[i] = this.rhymeParts(words[i]));
+        // Pairs are numbered by the order of their words in the group, so the earlier pair has lower numbers
+        const closer = (x, y) => x.confidence > y.confidence || (x.confidence === y.confidence &&
+            (x.at[0] < y.at[0] || (x.at[0] === y.at[0] && x.at[1] < y.at[1])));
+        const usedKeys = new Set();
+
+        const groups = clusters.map(({ spans: group, nodes }) => {
+            const wordOf = at => spans[nodes[at].spans[0]].wordIndex;
+            const key = nodes.map(node => node.signature).join('\n');
+            usedKeys.add(key);
+            let found = this.groupPairCache.get(key);
+            if (!found) {
+                const place = new Map(nodes.map((node, at) => [node.record, at]));
+                const counts = new Map();
+                const closest = [];
+                let pairCount = 0;
+                nodes.forEach((node, at) => {
+                    for (const record of node.record.partners.keys()) {
+                        const other = place.get(record);
+                        if (other === undefined || other < at) continue;
+                        let kind = node.record.pairs.get(record);
+                        if (!kind) {
+                            const [wi, wj] = [wordOf(at), wordOf(other)];
+                            kind = this.classifyRhymePair(words[wi], words[wj], partsOf(wi), partsOf(wj));
+                            node.record.pairs.set(record, kind);
+                        }
+                        const pair = { at: [at, other], type: kind.type, confidence: kind.confidence };
+                        pairCount++;
+                        counts.set(pair.type, (counts.get(pair.type) || 0) + 1);
+                        if (closest.length === RHYME_GROUP_PAIRS &&
+                            !closer(pair, closest[closest.length - 1])) continue;
+                        let index = closest.length;
+                        while (index > 0 && closer(pair, closest[index - 1])) index--;
+                        closest.splice(index, 0, pair);
+                        if (closest.length > RHYME_GROUP_PAIRS) closest.pop();
+                    }
+                });
+                found = {
+                    pairCount,
+                    typeCounts: Object.fromEntries(RHYME_PAIR_TYPES.filter(type => counts.has(type))
+                        .map(type => [type, counts.get(type)])),
+                    pairs: closest
+                };
+                this.groupPairCache.set(key, found);
+            }
+            return {
+                spans: group.map(index => spans[index]),
+                type: 'rhyme',
+                pairCount: found.pairCount,
+                typeCounts: Object.assign({}, found.typeCounts),
+                pairs: found.pairs.map(({ at, type, confidence }) => ({ words: at.map(wordOf), type, confidence }))
+            };
+        });
+
+        if (this.groupPairCache.size > 2 * usedKeys.size + LINE_CACHE_SLACK) {
+            for (const key of this.groupPairCache.keys()) {
+                if (!usedKeys.has(key)) this.groupPairCache.delete(key);
+            }
+        }
+        return groups;
+    }
+
+    // Clusters of two or more rhyme nodes by average linkage over their links, starting from the given
+    // clusters (every node in one). The closest two clusters, by mean similarity over all their word pairs,
+    // merge first, as long as at least settings.rhymeCohesion of those pairs rhyme. Ties go to the
+    // alphabetically first words, so the text's order never matters
+    linkRhymeNodes(nodes, start = nodes.map(node => [node])) {
+        const cohesion = this.settings.rhymeCohesion ?? DEFAULT_RHYME_COHESION;
+
+        // Clusters are numbered by their first node, and list their nodes
+        const members = new Array(nodes.length).fill(null);
+        const clusterOf = new Int32Array(nodes.length);
+        for (const cluster of start) {
+            members[cluster[0].id] = [...cluster];
+            for (const node of cluster) clusterOf[node.id] = cluster[0].id;
+        }
+        const sizes = new Array(nodes.length).fill(0);
+        for (const node of nodes) sizes[clusterOf[node.id]] += node.spans.length;
+
+        // Links, numbered, in flat arrays: their ends, the number of rhyming word pairs between the ends and
+        // the summed similarity of those pairs. A link's rank breaks ties: the lowest of the node pairs it
+        // was built from, so it doesn't depend on which end lives on after a merge. queued is the highest
+        // score it has waiting in the queue. A cluster lists its links, dead ones included, and counts the
+        // live ones
+        let linkCount = 0;
+        for (const node of nodes) linkCount += node.record.partners.size;
+        linkCount /= 2;
+        const ends = [new Int32Array(linkCount), new Int32Array(linkCount)];
+        const pairCounts = new Float64Array(linkCount);
+        const similarities = new Float64Array(linkCount);
+        const ranks = new Float64Array(linkCount);
+        const queued = new Float64Array(linkCount).fill(-Infinity);
+        const dead = new Uint8Array(linkCount);
+        const links = nodes.map(() => []); // Cluster -> its links
+        const linkTo = new Int32Array(nodes.length).fill(-1); // Cluster -> the link to it from the one at hand
+        let next = 0;
+        const otherEnd = (link, cluster) => (ends[0][link] === cluster ? ends[1][link] : ends[0][link]);
+        members.forEach((cluster, id) => {
+            if (!cluster) return;
+            for (const node of cluster) {
+                node.record.partners.forEach((similarity, { node: { id: partner } }) => {
+                    const other = clusterOf[partner];
+                    if (other <= id) return;
+                    let link = linkTo[other];
+                    if (link < 0) {
+                        link = linkTo[other] = next++;
+                        ends[0][link] = id;
+                        ends[1][link] = other;
+                        ranks[link] = Infinity;
+                        links[id].push(link);
+                        links[other].push(link);
+                    }
+                    const count = node.spans.length * nodes[partner].spans.length;
+                    const rank = Math.min(node.id, partner) * nodes.length + Math.max(node.id, partner);
+                    pairCounts[link] += count;
+                    similarities[link] += count * similarity;
+                    ranks[link] = Math.min(ranks[link], rank);
+                });
+            }
+            for (const link of links[id]) linkTo[otherEnd(link, id)] = -1;
+        });
+        linkCount = next;
+        const degrees = links.map(clusterLinks => clusterLinks.length);
+
+        // Mean similarity over all word pairs across the link, or -1 below the cohesion floor
+        const score = link => {
+            const pairCount = sizes[ends[0][link]] * sizes[ends[1][link]];
+            return pairCounts[link] / pairCount < cohesion ? -1 : similarities[link] / pairCount;
+        };
+        // Candidate merges, strongest first, ties to the lowest rank. Scores only drop as clusters grow,
+        // except where a merge adds two links to the same cluster together, which is queued again if that
+        // raised it. So an entry whose link has dropped since goes back in at its current score when it
+        // comes out
+        const initial = [[], [], []];
+        for (let link = 0; link < linkCount; link++) {
+            const linkScore = score(link);
+            if (linkScore < 0) continue;
+            queued[link] = linkScore;
+            initial[0].push(link);
+            initial[1].push(linkScore);
+            initial[2].push(ranks[link]);
+        }
+        const queue = new PriorityQueue(...initial);
+        let waitingLinks = initial[0].length; // Live links with an entry in the queue
+        const enqueue = (link, linkScore) => {
+            if (queued[link] === -Infinity) waitingLinks++;
+            queued[link] = linkScore;
+            queue.push(link, linkScore, ranks[link]);
+        };
+        const kill = link => {
+            if (queued[link] !== -Infinity) waitingLinks--;
+            dead[link] = 1;
+        };
+
+        while (queue.size > 0) {
+            // Merges leave entries for links that died or were queued again; sweep them out once they
+            // outnumber the live ones rather than popping each
+            if (queue.size > 2 * waitingLinks + 1024) {
+                queue.filter((link, linkScore) => !dead[link] && queued[link] === linkScore);
+            }
+            const best = queue.ids[0];
+            const waiting = queue.scores[0];
+            const rank = queue.ranks[0];
+            queue.pop();
+            if (dead[best] || queued[best] !== waiting) continue; // Outdated by a later entry
+            const current = score(best);
+            queued[best] = -Infinity;
+            waitingLinks--;
+            if (current < 0) continue;
+            // Still the strongest if it beats what's left, since every other entry is at least as high as
+            // its link's current score
+            if ((current !== waiting || rank !== ranks[best]) && queue.size > 0
+                && queue.before(0, current, ranks[best])) {
+                enqueue(best, current);
+                continue;
+            }
+
+            // The cluster with fewer links joins the other, which only decides whose number lives on
+            let into = ends[0][best];
+            let from = ends[1][best];
+            if (degrees[from] > degrees[into]) [into, from] = [from, into];
+            kill(best);
+            degrees[into]--;
+            sizes[into] += sizes[from];
+            // Dead links drop out of the target's list here, so it stays the size of its live links
+            const target = links[into];
+            let live = 0;
+            for (const link of target) {
+                if (dead[link]) continue;
+                target[live++] = link;
+                linkTo[otherEnd(link, into)] = link;
+            }
+            target.length = live;
+            for (const link of links[from]) {
+                if (dead[link]) continue;
+                const other = otherEnd(link, from);
+                const existing = linkTo[other];
+                if (existing >= 0) {
+                    pairCounts[existing] += pairCounts[link];
+                    similarities[existing] += similarities[link];
+                    ranks[existing] = Math.min(ranks[existing], ranks[link]);
+                    kill(link);
+                    degrees[other]--;
+                    const raised = score(existing);
+                    if (raised >= 0 && raised >= queued[existing]) enqueue(existing, raised);
+                } else {
+                    ends[0][link] = into;
+                    ends[1][link] = other;
+                    target.push(link);
+                    degrees[into]++;
+                }
+            }
+            for (const link of target) linkTo[otherEnd(link, into)] = -1;
+            for (const node of members[from]) members[into].push(node);
+            links[from] = null;
+            members[from] = null;
+        }
+        return members.filter(cluster => cluster && cluster.length > 1);
+    }
+
+    // Words of every line, through the per-line cache. A line's tokens, language tags and phones only
+    // depend on its text (and the note's accent and language hints), so unchanged lines are reused and
+    // just moved to their current line and offset
+    lineWords(lines, options = {}) {
+        const context = `${this.accent.id}|${JSON.stringify(options.lang || '')}`;
+        if (this.lineCacheContext !== context) {
+            this.lineCache.clear();
+            this.lineCacheContext = context;
+        }
+
+        const words = [];
+        const skipped = [];
+        const seen = new Set();
+        let offset = options.offset || 0;
+
+        lines.forEach((rawLine, lineIndex) => {
+            const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+            let cached = this.lineCache.get(line);
+            if (!cached) {
+                cached = this.analyzeLine(line, options);
+                this.lineCache.set(line, cached);
+            }
+            seen.add(line);
+
+            const place = token => Object.assign({}, token, {
+                line: lineIndex,
+                from: offset + token.position,
+                to: offset + token.end
+            });
+            for (const word of cached.words) words.push(Object.assign(place(word), { phones: [...word.phones] }));
+            for (const token of cached.skipped) skipped.push(place(token));
+            offset += rawLine.length + 1;
+        });
+
+        // Drop lines that are no longer in the note once they outnumber the live ones
+        if (this.lineCache.size > 2 * seen.size + LINE_CACHE_SLACK) {
+            for (const line of this.lineCache.keys()) {
+                if (!seen.has(line)) this.lineCache.delete(line);
+            }
+        }
+
+        return { words, skipped };
+    }
+
+    // Tokens of one line with languages and phones, positions relative to the line
+    analyzeLine(line, options = {}) {
+        const words = [];
+        const skipped = [];
+
+        // Extract words with the shared tokenizer. Numbers, symbols and abbreviations are spelled out
+        // first; words from an expansion ("$100" -> "one hundred dollars") all point back at the
+        // characters they replaced
+        for (const token of tokenizeLine(line)) {
+            // Skip common stop words unless they're emphasized
+            if (STOP_WORDS.has(token.lower) && token.lower.length <= 2) {
+                skipped.push(token);
+                continue;
+            }
+            words.push(token);
+        }
+
+        // Language comes first: it decides which spelling rules produce the phones
+        this.tagLanguages(words, options);
+
+        for (const word of words) {
+            const variants = this.wordToPhoneVariants(word.lower, word.lang);
+            const phones = [...variants[0]];
+            const [syllables, stress] = this.syllabify(phones);
+            Object.assign(word, { phones, syllables, stress, variants, variantIndex: 0 });
+        }
+
+        return { words, skipped };
+    }
+
+    // Vowel class of a word's stressed syllable, or null if it has none
+    stressedVowel(word) {
+        const stressIndex = word.stress !== null ? word.stress : word.syllables.length - 1;
+        if (stressIndex >= 0 && stressIndex < word.syllables.length) {
+            for (const phone of word.syllables[stressIndex]) {
+                const base = this.normalizePhone(phone);
+                if (ARPA_VOWELS.has(base)) {
+                    return VOWEL_CLASSES[base] || base;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Runs of words sharing a sound, in document order: keys[i] is word i's sound, or null to leave it out.
+    // A run breaks when more than maxLineGap lines pass without its sound; runs of one word are dropped
+    soundRuns(words, keys, maxLineGap) {
+        const runs = [];
+        const open = new Map(); // Sound -> its latest run
+        words.forEach((word, i) => {
+            if (keys[i] === null) return;
+            let run = open.get(keys[i]);
+            if (!run || word.line - words[run[run.length - 1]].line > maxLineGap) {
+                run = [];
+                open.set(keys[i], run);
+                runs.push(run);
+            }
+            run.push(i);
+        });
+        return runs.filter(run => run.length >= 2);
+    }
+
+    // Repeated words and lines, which rhyme grouping leaves out because a word never rhymes with itself.
+    // Lines are compared by their tokens (stop words included), so case and punctuation don't matter:
+    //   lineEnds   nearby lines ending on the same word (epistrophe), as { text, lines }
+    //   openings   nearby lines starting with the same words (anaphora), as { text, lines }; a lone
+    //              stop word ("I ...") isn't enough
+    //   refrains   runs of one or more lines repeated anywhere (hooks, choruses), as { text, lines, length }
+    //              with the first line of each occurrence
+    // Line numbers are analysis lines (0-based), like word.line
+    detectRepetitions(lines, words, skipped) {
+        const tokens = lines.map(() => []);
+        [...words, ...skipped].sort((a, b) => a.from - b.from)
+            .forEach(token => tokens[token.line].push(token.lower));
+        const texts = tokens.map(lineTokens => lineTokens.join(' '));
+        const lineItems = lines.map((_, line) => ({ line }));
+
+        // Runs of identical lines are refrains, not line ending or opening figures
+        const nearbyRuns = keys => this.soundRuns(lineItems, keys, REPETITION_LINE_GAP)
+            .filter(run => new Set(run.map(line => texts[line])).size >= 2);
+
+        const lastTokens = tokens.map(lineTokens => (lineTokens.length > 0 ? lineTokens[lineTokens.length - 1] : null));
+        const lineEnds = nearbyRuns(lastTokens).map(run => ({ text: lastTokens[run[0]], lines: run }));
+
+        const openings = [];
+        for (const run of nearbyRuns(tokens.map(lineTokens => (lineTokens.length > 0 ? lineTokens[0] : null)))) {
+            let length = 1;
+            while (run.every(line => length < tokens[line].length && tokens[line][length] === tokens[run[0]][length])) length++;
+            const opening = tokens[run[0]].slice(0, length);
+            if (length >= 2 || !STOP_WORDS.has(opening[0])) openings.push({ text: opening.join(' '), lines: run });
+        }
+
+        // Every two occurrences of a line start a refrain as long as the lines after them keep matching,
+        // unless the lines before them match too (then it is part of a longer one)
+        const occurrences = new Map(); // Line text -> lines
+        texts.forEach((text, line) => {
+            if (!text) return;
+            if (!occurrences.has(text)) occurrences.set(text, []);
+            occurrences.get(text).push(line);
+        });
+        const blocks = new Map(); // Texts of a refrain's lines -> refrain
+        for (const starts of occurrences.values()) {
+            for (let a = 0; a < starts.length; a++) {
+                for (let b = a + 1; b < starts.length; b++) {
+                    const first = starts[a];
+                    const second = starts[b];
+                    if (first > 0 && texts[first - 1] && texts[first - 1] === texts[second - 1]) continue;
+                    let length = 1;
+                    while (first + length < second && second + length < texts.length &&
+                        texts[first + length] && texts[first + length] === texts[second + length]) length++;
+
+                    const blockKey = texts.slice(first, first + length).join('\n');
+                    if (!blocks.has(blockKey)) {
+                        const text = lines.slice(first, first + length).map(line => line.trim()).join(' / ');
+                        blocks.set(blockKey, { text, starts: new Set(), length });
+                    }
+                    blocks.get(blockKey).starts.add(first).add(second);
+                }
+            }
+        }
+        const refrains = Array.from(blocks.values(), ({ text, starts, length }) =>
+            ({ text, lines: Array.from(starts).sort((x, y) => x - y), length }))
+            .sort((x, y) => x.lines[0] - y.lines[0] || y.length - x.length);
+
+        return { lineEnds, openings, refrains };
+    }
+
+    // A line's syllables for detectVowelMultis, in order across its words (given by index): the word, the
+    // vowel (without stress mark) and whether it is stressed, the consonants up to the next vowel in the
+    // line, and the ones up to the end of the word
+    lineSyllables(words, wordIndices) {
+        const syllables = [];
+        for (const wordIndex of wordIndices) {
+            const word = words[wordIndex];
+            word.syllables.forEach((chunk, index) => {
+                for (const phone of chunk) {
+                    const base = this.normalizePhone(phone);
+                    if (ARPA_VOWELS.has(base)) {
+                        syllables.push({
+                            wordIndex, vowel: base, vowelClass: VOWEL_CLASSES[base] || base,
+                            stressed: /\d$/.test(phone) ? /[12]$/.test(phone) : index === word.stress,
+                            after: [], coda: []
+                        });
+                    } else if (syllables.length > 0) {
+                        const last = syllables[syllables.length - 1];
+                        last.after.push(base);
+                        if (last.wordIndex === wordIndex) last.coda.push(base);
+                    }
+                }
+            });
+        }
+        return syllables;
+    }
+
+    // Multi-syllabic rhymes matched on their vowels across word boundaries ("lose yourself"/"new wealth"),
+    // within a line or between neighbouring lines: two or more syllables from the same stressed vowel, where
+    // unstressed vowels may stand in for each other. Returns { lines, syllables, vowels, consonance, sides },
+    // each side { line, words, from, to, text }, by first line and position; consonance runs 0-1. What two
+    // lines hold only depends on their words, so it is cached by their text and phones
+    detectVowelMultis(words) {
+        const byLine = new Map(); // Line -> its word indices
+        words.forEach((word, i) => {
+            if (!byLine.has(word.line)) byLine.set(word.line, []);
+            byLine.get(word.line).push(i);
+        });
+        const lineKeys = new Map();
+        const lineKey = line => {
+            if (!lineKeys.has(line)) {
+                lineKeys.set(line, byLine.get(line)
+                    .map(i => `${words[i].text} ${words[i].phones.join(' ')}`)
+                    .join('\t'));
+            }
+            return lineKeys.get(line);
+        };
+        const side = (line, positions) => {
+            const wordIndices = positions.map(k => byLine.get(line)[k]);
+            return {
+                line,
+                words: wordIndices,
+                from: words[wordIndices[0]].from,
+                to: words[wordIndices[wordIndices.length - 1]].to,
+                text: wordIndices.map(i => words[i].text).join(' ')
+            };
+        };
+
+        const multis = [];
+        const usedKeys = new Set();
+        for (const line1 of byLine.keys()) {
+            for (let line2 = line1; line2 <= line1 + VOWEL_MULTI_LINE_GAP; line2++) {
+                if (!byLine.has(line2)) continue;
+                const cacheKey = line1 === line2 ? lineKey(line1) : `${lineKey(line1)}\n${lineKey(line2)}`;
+                usedKeys.add(cacheKey);
+                let found = this.multiCache.get(cacheKey);
+                if (!found) {
+                    found = this.lineMultis(words, byLine.get(line1), byLine.get(line2), line1 === line2);
+                    this.multiCache.set(cacheKey, found);
+                }
+                for (const { syllables, vowels, consonance, positions } of found) {
+                    multis.push({
+                        lines: [line1, line2],
+                        syllables,
+                        vowels,
+                        consonance,
+                        sides: [side(line1, positions[0]), side(line2, positions[1])]
+                    });
+                }
+            }
+        }
+
+        if (this.multiCache.size > 2 * usedKeys.size + LINE_CACHE_SLACK) {
+            for (const key of this.multiCache.keys()) {
+                if (!usedKeys.has(key)) this.multiCache.delete(key);
+            }
+        }
+
+        return multis.sort((x, y) => x.sides[0].from - y.sides[0].from || x.sides[1].from - y.sides[1].from);
+    }
+
+    // detectVowelMultis for one pair of lines, given by their word indices (the same twice for matches
+    // within a line). Each match's sides are the positions of their words in the line
+    lineMultis(words, wordIndices1, wordIndices2, sameLine) {
+        const syllables1 = this.lineSyllables(words, wordIndices1);
+        const syllables2 = sameLine ? syllables1 : this.lineSyllables(words, wordIndices2);
+        const multis = [];
+        const stopWord = syllable => STOP_WORDS.has(words[syllable.wordIndex].lower);
+        const pairs = (a, b) => a.vowelClass === b.vowelClass ||
+            ((!a.stressed || !b.stressed) && REDUCED_VOWELS.has(a.vowel) && REDUCED_VOWELS.has(b.vowel));
+
+        const side = (syllables, first, last) => {
+            const wordIndices = [];
+            for (let k = first; k <= last; k++) {
+                const wordIndex = syllables[k].wordIndex;
+                if (wordIndices[wordIndices.length - 1] !== wordIndex) wordIndices.push(wordIndex);
+            }
+            return { words: wordIndices, text: wordIndices.map(i => words[i].text).join(' ') };
+        };
+        const covered = new Set(); // "i:j" of syllables paired in a match already found
+
+        for (let i = 0; i < syllables1.length; i++) {
+            if (!syllables1[i].stressed || stopWord(syllables1[i])) continue;
+            for (let j = sameLine ? i + 1 : 0; j < syllables2.length; j++) {
+                if (!syllables2[j].stressed || stopWord(syllables2[j]) || covered.has(`${i}:${j}`) ||
+                    syllables1[i].vowelClass !== syllables2[j].vowelClass) continue;
+
+                // Pair syllables from the two starts, passing over unstressed ones that don't pair
+                const paired = [[i, j]];
+                let a = i + 1;
+                let b = j + 1;
+                const end2 = syllables2.length;
+                // On one line the first half stops before the second half's first word
+                const end1 = sameLine
+                    ? syllables1.findIndex(syllable => syllable.wordIndex === syllables2[j].wordIndex)
+                    : syllables1.length;
+                while (a < end1 && b < end2) {
+                    if (pairs(syllables1[a], syllables2[b])) {
+                        paired.push([a++, b++]);
+                    } else if (!syllables1[a].stressed) {
+                        a++;
+                    } else if (!syllables2[b].stressed) {
+                        b++;
+                    } else {
+                        break;
+                    }
+                }
+                while (paired.length > 0 && paired[paired.length - 1].some((k, half) =>
+                    stopWord((half === 0 ? syllables1 : syllables2)[k]))) paired.pop();
+                if (paired.length < 2) continue;
+
+                const [last1, last2] = paired[paired.length - 1];
+                const half1 = side(syllables1, i, last1);
+                const half2 = side(syllables2, j, last2);
+                const stresses = (syllables, first, last) =>
+                    syllables.slice(first, last + 1).filter(syllable => syllable.stressed).length;
+                const spansWords = (half, syllables, first, last) =>
+                    half.words.length >= 2 && stresses(syllables, first, last) >= 2;
+                if (!spansWords(half1, syllables1, i, last1) && !spansWords(half2, syllables2, j, last2)) continue;
+                if (half1.text.toLowerCase() === half2.text.toLowerCase()) continue;
+                paired.forEach(([x, y]) => covered.add(`${x}:${y}`));
+
+                // Consonants after each paired vowel up to the next paired one, and the last one's coda
+                const consonants = (syllables, from, to) => (to === null
+                    ? syllables[from].coda
+                    : syllables.slice(from, to).flatMap(syllable => syllable.after));
+                let distance = 0;
+                paired.forEach(([x, y], k) => {
+                    const next = paired[k + 1] || [null, null];
+                    const c1 = consonants(syllables1, x, next[0]);
+                    const c2 = consonants(syllables2, y, next[1]);
+                    distance += this.cachedCodaDistance(c1.join(' '), c1, c2.join(' '), c2);
+                });
+
+                multis.push({
+                    syllables: paired.length,
+                    vowels: paired.map(([x]) => syllables1[x].vowelClass).join(' '),
+                    consonance: 1 - distance / paired.length,
+                    positions: [half1.words.map(w => w - wordIndices1[0]), half2.words.map(w => w - wordIndices2[0])]
+                });
+            }
+        }
+        return multis;
+    }
+
+    // Detect assonance (vowel sound repetition) between words
+    detectAssonance(w1, w2) {
+        if (w1.syllables.length === 0 || w2.syllables.length === 0) return false;
+
+        const v1 = this.stressedVowel(w1);
+        const v2 = this.stressedVowel(w2);
+
+        return v1 !== null && v2 !== null && 
+               (v1 === v2 || this.getVowelFamily(v1) === this.getVowelFamily(v2));
+    }
+
+    // Check if a word appears at the end of its line
+    isLineEnd(wordIndex, words) {
+        const line = words[wordIndex].line;
+        for (let i = wordIndex + 1; i < words.length; i++) {
+            if (words[i].line !== line) return true; // next word is on a new line
+            if (words[i].line === line) return false; // found a later word on same line
+        }
+        return true; // last word overall
+    }
+
+    // Phones from the stressed vowel to the end of the word, which is what Spanish rhyme compares
+    spanishRhymeTail(word) {
+        const stressIndex = word.stress !== null ? word.stress : word.syllables.length - 1;
+        return word.syllables.slice(Math.max(0, stressIndex)).flat().map(p => this.normalizePhone(p));
+    }
+
+    // Rima consonante / asonante between line-final words, when at least one of them is Spanish
+    // Each pair keeps the usual rhymeDistance so bilingual verses can be read both ways
+    detectSpanishRhymes(words) {
+        if (!words.some(w => w.lang === 'es')) return [];
+
+        const lineEnds = words.map((_, i) => i).filter(i => this.isLineEnd(i, words));
+        const pairs = [];
+
+        for (let a = 0; a < lineEnds.length; a++) {
+            for (let b = a + 1; b < lineEnds.length; b++) {
+                const w1 = words[lineEnds[a]];
+                const w2 = words[lineEnds[b]];
+                if (w2.line - w1.line > SPANISH_RHYME_WINDOW) break;
+                if (w1.lang !== 'es' && w2.lang !== 'es') continue;
+                if (w1.lower === w2.lower) continue;
+
+                const type = spanishRhymeClass(this.spanishRhymeTail(w1), this.spanishRhymeTail(w2));
+                if (!type) continue;
+
+                const k1 = this.getRhymeKey(w1.syllables, w1.stress);
+                const k2 = this.getRhymeKey(w2.syllables, w2.stress);
+                pairs.push({
+                    words: [lineEnds[a], lineEnds[b]],
+                    type,
+                    distance: k1 && k2 ? this.rhymeDistance(k1, k2) : null
+                });
+            }
+        }
+
+        return pairs;
+    }
+
+    // Build traditional rhyme scheme notation (AABA, etc.) from schemeLines
+    buildScheme(schemeLines) {
+        return schemeLines.map(line => (line ? line.letter : "-")).join("");
+    }
+
+    // Scheme letter of each line's last word, with the group behind it; null for lines without one
+    schemeLines(words, wordToGroup) {
+        const maxLine = Math.max(...words.map(w => w.line), -1);
+        const groupIdToLetter = {};
+        let nextCharCode = 65; // Start with 'A'
+        const sequence = [];
+
+        // Last word of each line, in one pass (words are in document order)
+        const lastWords = new Map();
+        words.forEach((word, i) => lastWords.set(word.line, i));
+
+        for (let line = 0; line <= maxLine; line++) {
+            const lastWordIndex = lastWords.has(line) ? lastWords.get(line) : null;
+
+            if (lastWordIndex === null) {
+                sequence.push(null);
+                continue;
+            }
+
+            const groups = wordToGroup[lastWordIndex] || [];
+            if (groups.length === 0) {
+                sequence.push(null);
+                continue;
+            }
+
+            const [groupId, , type] = groups[0];
+            if (!(groupId in groupIdToLetter)) {
+                groupIdToLetter[groupId] = String.fromCharCode(nextCharCode++);
+            }
+
+            sequence.push({ letter: groupIdToLetter[groupId], groupId, type });
+        }
+
+        return sequence;
+    }
+
+    // Phonetics of one analyzed word and its group partners, for editor tooltips. Partner lines are
+    // analysis lines (0-based), like word.line
+    describeWord(analysis, wordIndex) {
+        const word = analysis.words[wordIndex];
+        const groups = analysis.wordToGroup[wordIndex] || [];
+        const [groupId, , type] = groups.find(([, , t]) => t === 'rhyme') || groups[0] || [];
+        if (type === undefined) return null;
+
+        const members = type === 'rhyme'
+            ? analysis.groups[groupId].spans.map(span => span.wordIndex)
+            : analysis.assonanceGroups[groupId - analysis.groups.length];
+        const key = this.getRhymeKey(word.syllables, word.stress);
+        const partners = members.filter(i => i !== wordIndex).map(i => {
+            const other = analysis.words[i];
+            const otherKey = this.getRhymeKey(other.syllables, other.stress);
+            return {
+                text: other.text,
+                line: other.line,
+                distance: key && otherKey ? this.rhymeDistance(key, otherKey) : null
+            };
+        });
+
+        return {
+            text: word.text,
+            source: word.source,
+            phones: word.phones.join(' '),
+            syllables: word.syllables.map(syllable => syllable.join(' ')).join(' · '),
+            stressed: word.stress !== null ? `${word.stress + 1} of ${word.syllables.length}` : null,
+            key: key ? [key[0], ...key[1]].join(' ') : null,
+            group: type === 'rhyme' ? `Rhyme group ${groupId + 1}` : `Assonance group ${groupId - analysis.groups.length + 1}`,
+            partners
+        };
+    }
+
+    // Pause between analysis passes. options.checkpoint, set by the background worker, yields so newer
+    // requests can arrive and throws AnalysisCancelledError once this analysis is outdated
+    async checkpoint(options) {
+        if (options.checkpoint) await options.checkpoint();
+    }
+
+    // End an analysis pass: add its milliseconds to timings[name], then pause at a checkpoint. Returns
+    // when the next pass starts, so the pause counts towards neither
+    async endPass(options, timings, name, startedAt) {
+        timings[name] = (timings[name] || 0) + performance.now() - startedAt;
+        await this.checkpoint(options);
+        return performance.now();
+    }
+
+    // Main analysis function that processes text and returns comprehensive rhyme data
+    // options.accent overrides the global accent profile (e.g. from a note's frontmatter)
+    async analyze(text, options = {}) {
+        // Make sure the dictionaries are available before any phonetic lookups
+        await this.ensureLexicons();
+        this.useAccent(options.accent);
+        const timings = {}; // Milliseconds per pass, for the panel's timing readout
+        let passStart = performance.now();
+
+        const lines = text.split('\n');
+        // Only lines not seen before are tokenized, language-tagged and converted to phones
+        // skipped: stop words left out of rhyme matching, still counted as syllables
+        const { words, skipped } = this.lineWords(lines, options);
+
+        // Resolve homographs before any grouping so every pass sees the same pronunciation
+        this.selectPronunciationVariants(words, lines);
+        passStart = await this.endPass(options, timings, 'words', passStart);
+
+        // Build rhyme spans - these represent potential rhyme units
+        const spans = [];
+        const matchEntries = [];
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            const { key, text: keyText, multiKeys } = this.rhymeKeys(word.phones);
+            
+            if (key) {
+                const stressIndex = word.stress !== null ? word.stress : word.syllables.length - 1;
+                const tail = Math.max(1, word.syllables.length - stressIndex);
+
+                spans.push({
+                    wordIndex: i,
+                    line: word.line,
+                    from: word.from,
+                    to: word.to,
+                    key,
+                    tail,
+                    multiKeys
+                });
+                // Everything that decides whether two spans rhyme
+                const lineEnd = i === words.length - 1 || words[i + 1].line !== word.line;
+                matchEntries.push({
+                    lower: word.lower,
+                    key,
+                    keyText,
+                    multiKeys,
+                    lineEnd
+                });
+            }
+        }
+
+        // Group rhymes by clustering every rhyming pair (see clusterRhymes)
+        this.updateKeyIndex(matchEntries);
+        const groups = this.rhymeGroupPairs(this.clusterRhymes(matchEntries), spans, words);
+
+        passStart = await this.endPass(options, timings, 'rhymes', passStart);
+
+        // Detect assonance groups if enabled
+        const assonanceGroups = [];
+        if (this.settings.highlightAssonance) {
+            // Stop words never join; everyone else is compared by stressed vowel, looked up once per word
+            const assonanceUsed = words.map(word => STOP_WORDS.has(word.lower));
+            const vowels = words.map(word => this.stressedVowel(word));
+            const families = vowels.map(vowel => (vowel === null ? null : this.getVowelFamily(vowel)));
+
+            // Words match when their vowels share a family (the same vowel always does), so each word
+            // only looks through its family's bucket of words not yet grouped, in document order
+            const buckets = new Map();
+            words.forEach((_, i) => {
+                if (assonanceUsed[i] || vowels[i] === null) return;
+                if (!buckets.has(families[i])) buckets.set(families[i], []);
+                buckets.get(families[i]).push(i);
+            });
+
+            for (let i = 0; i < words.length; i++) {
+                if (assonanceUsed[i]) continue;
+
+                const group = [i];
+                assonanceUsed[i] = true;
+                if (vowels[i] === null) continue;
+
+                // What stays in the bucket is the later repeats of this word, which seed groups of their own
+                const rest = [];
+                for (const j of buckets.get(families[i])) {
+                    if (assonanceUsed[j]) continue;
+                    if (words[j].lower === words[i].lower) {
+                        rest.push(j);
+                    } else {
+                        group.push(j);
+                        assonanceUsed[j] = true;
+                    }
+                }
+                buckets.set(families[i], rest);
+
+                // Require at least 3 words for a meaningful assonance group
+                if (group.length >= 3) {
+                    assonanceGroups.push(group);
+                }
+            }
+        }
+
+        // Build comprehensive word-to-group mapping
+        const wordToGroup = {};
+
+        groups.forEach((group, groupId) => {
+            group.spans.forEach(span => {
+                if (!wordToGroup[span.wordIndex]) {
+                    wordToGroup[span.wordIndex] = [];
+                }
+                wordToGroup[span.wordIndex].push([groupId, span.tail, 'rhyme']);
+            });
+        });
+
+        assonanceGroups.forEach((group, assonanceId) => {
+            group.forEach(wordIndex => {
+                if (!wordToGroup[wordIndex]) {
+                    wordToGroup[wordIndex] = [];
+                }
+                wordToGroup[wordIndex].push([groups.length + assonanceId, 1, 'assonance']);
+            });
+        });
+
+        passStart = await this.endPass(options, timings, 'assonance', passStart);
+
+        // Alliteration: nearby words whose stressed syllables start with the same consonant ("big bad bully")
+        const alliterationGroups = [];
+        if (this.settings.highlightAlliteration) {
+            const onsets = words.map(word => {
+                if (STOP_WORDS.has(word.lower)) return null;
+                const [onset] = this.stressedPart(word);
+                return onset.length > 0 ? onset[0] : null;
+            });
+            alliterationGroups.push(...this.soundRuns(words, onsets, ALLITERATION_LINE_GAP)
+                .filter(run => new Set(run.map(i => words[i].lower)).size >= 2));
+        }
+
+        passStart = await this.endPass(options, timings, 'alliteration', passStart);
+
+        // Consonance: nearby words with the same consonants after their stressed vowels but different
+        // vowels ("blank"/"think"). Runs whose words all share a vowel are rhymes and left out
+        const consonanceGroups = [];
+        if (this.settings.highlightConsonance) {
+            const parts = words.map(word => (STOP_WORDS.has(word.lower) ? null : this.stressedPart(word)[1]));
+            const skeletons = parts.map(rhyme => {
+                const consonants = rhyme ? rhyme.filter(phone => !ARPA_VOWELS.has(phone)) : [];
+                return consonants.length > 0 ? consonants.join(' ') : null;
+            });
+            consonanceGroups.push(...this.soundRuns(words, skeletons, CONSONANCE_LINE_GAP)
+                .filter(run => new Set(run.map(i => words[i].lower)).size >= 2 &&
+                    new Set(run.map(i => parts[i][0])).size >= 2));
+        }
+
+        passStart = await this.endPass(options, timings, 'consonance', passStart);
+
+        // Repetition the rhyme and assonance passes pass over: repeated line endings, openings and refrains
+        const repetitions = this.detectRepetitions(lines, words, skipped);
+
+        passStart = await this.endPass(options, timings, 'repetition', passStart);
+
+        // Detect internal rhymes within individual lines
+        const internalRhymes = {};
+        if (this.settings.showInternalRhymes) {
+            const keys = new Array(words.length).fill(null);
+            const keyTexts = new Array(words.length).fill(null);
+            spans.forEach((span, index) => {
+                keys[span.wordIndex] = span.key;
+                keyTexts[span.wordIndex] = matchEntries[index].keyText;
+            });
+            const wordsByLine = new Map();
+            words.forEach((w, i) => {
+                if (!wordsByLine.has(w.line)) wordsByLine.set(w.line, []);
+                wordsByLine.get(w.line).push(i);
+            });
+
+            const threshold = this.settings.slantThreshold;
+            const { nucleus, coda } = this.model.weights;
+            const maxLine = Math.max(...words.map(w => w.line), -1);
+            for (let lineIndex = 0; lineIndex <= maxLine; lineIndex++) {
+                // The line's words by rhyme key, so each pair of keys is measured once however often
+                // they repeat, and keys whose nuclei alone are too far apart are never measured
+                const byKey = new Map();
+                for (const wi of wordsByLine.get(lineIndex) || []) {
+                    if (!keys[wi]) continue;
+                    if (!byKey.has(keyTexts[wi])) byKey.set(keyTexts[wi], []);
+                    byKey.get(keyTexts[wi]).push(wi);
+                }
+                const buckets = Array.from(byKey.values());
+                const pairs = [];
+
+                for (let a = 0; a < buckets.length; a++) {
+                    for (let b = a; b < buckets.length; b++) {
+                        const i1 = buckets[a][0];
+                        const i2 = buckets[b][0];
+                        if (nucleus * this.cachedNucleusDistance(keys[i1][0], keys[i2][0]) / (nucleus + coda) > threshold) continue;
+                        if (this.keyDistance(keys[i1], keyTexts[i1], keys[i2], keyTexts[i2]) > threshold) continue;
+
+                        for (const wi1 of buckets[a]) {
+                            for (const wi2 of buckets[b]) {
+                                if ((a === b && wi2 <= wi1) || words[wi1].lower === words[wi2].lower) continue;
+                                pairs.push(wi1 < wi2 ? [wi1, wi2] : [wi2, wi1]);
+                            }
+                        }
+                    }
+                }
+                pairs.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+
+                if (pairs.length > 0) {
+                    internalRhymes[lineIndex] = pairs;
+                }
+            }
+        }
+
+        passStart = await this.endPass(options, timings, 'internal', passStart);
+
+        // Multi-syllabic rhymes by vowels alone, across word boundaries
+        const vowelMultis = this.settings.showVowelMultis ? this.detectVowelMultis(words) : [];
+
+        passStart = await this.endPass(options, timings, 'multis', passStart);
+
+        // Spanish verse rhyme classes, reported beside the phonetic groups rather than merged into them
+        const spanishRhymes = this.settings.spanishRhymes ? this.detectSpanishRhymes(words) : [];
+
+        // Calculate comprehensive metrics
+        const totalSyllables = words.reduce((sum, w) => sum + w.syllables.length, 0);
+        // Identical words never rhyme with each other; with settings.countIdenticalWords a word that
+        // appears again elsewhere counts its syllables from the stress as rhyming ones anyway
+        const identityTails = new Array(words.length).fill(0);
+        if (this.settings.countIdenticalWords) {
+            const counts = new Map();
+            words.forEach(word => counts.set(word.lower, (counts.get(word.lower) || 0) + 1));
+            words.forEach((word, i) => {
+                if (counts.get(word.lower) >= 2 && !STOP_WORDS.has(word.lower)) {
+                    identityTails[i] = this.stressedVowels(word).length;
+                }
+            });
+        }
+        const rhymeTail = i => Math.max(identityTails[i], ...(wordToGroup[i] || []).map(([_, tail]) => tail));
+        const rhymingSyllables = words.reduce((sum, _, i) => sum + rhymeTail(i), 0);
+        const multiSyllables = Object.values(wordToGroup).reduce((sum, groups) => {
+            return sum + groups.reduce((groupSum, [_, tail]) => groupSum + (tail >= 2 ? tail : 0), 0);
+        }, 0);
+
+        const linesWithRhymes = {};
+        words.forEach((word, wordIndex) => {
+            if (!wordToGroup[wordIndex] && identityTails[wordIndex] === 0) return;
+            linesWithRhymes[word.line] = (linesWithRhymes[word.line] || 0) + rhymeTail(wordIndex);
+        });
+
+        const avgPerLine = Object.keys(linesWithRhymes).length > 0 
+            ? Object.values(linesWithRhymes).reduce((a, b) => a + b, 0) / Object.keys(linesWithRhymes).length 
+            : 0;
+
+        const density = totalSyllables > 0 ? rhymingSyllables / totalSyllables : 0;
+        const multiRatio = rhymingSyllables > 0 ? multiSyllables / rhymingSyllables : 0;
+        const schemeLines = this.schemeLines(words, wordToGroup);
+        const scheme = this.buildScheme(schemeLines);
+
+        // Sung syllables per line (vowels, so onset-only syllable chunks don't count), stop words included
+        const lineSyllables = new Array(lines.length).fill(0);
+        for (const word of words) lineSyllables[word.line] += this.countVowels(word.phones);
+        for (const token of skipped) lineSyllables[token.line] += this.countVowels(this.wordToPhones(token.lower));
+
+        const rhymeTypes = {};
+        Object.values(wordToGroup).forEach(groups => {
+            groups.forEach(([_, __, type]) => {
+                rhymeTypes[type] = (rhymeTypes[type] || 0) + 1;
+            });
+        });
+        timings.metrics = performance.now() - passStart; // Spanish rhymes, scheme and metrics
+
+        return {
+            lines,
+            words,
+            spans,
+            groups,
+            assonanceGroups,
+            alliterationGroups,
+            consonanceGroups,
+            repetitions,
+            internalRhymes,
+            vowelMultis,
+            spanishRhymes,
+            wordToGroup,
+            schemeLines,
+            lineSyllables,
+            offset: options.offset || 0,
+            timings,
+            accent: this.accent.id,
+            metrics: {
+                totalSyllables,
+                rhymingSyllables,
+                density,
+                multiRatio,
+                avgPerLine,
+                scheme,
+                rhymeTypes,
+                uniqueRhymeGroups: groups.length,
+                uniqueAssonanceGroups: assonanceGroups.length,
+                uniqueAlliterationGroups: alliterationGroups.length,
+                uniqueConsonanceGroups: consonanceGroups.length,
+                vowelMultis: vowelMultis.length
+            }
+        };
+    }
+
+    // Enhanced analysis method that includes hip-hop features
+    // Returns the same format as analyze() but with additional hipHop section
+    async analyzeEnhanced(text, options = {}) {
+        // Get standard analysis first (this also selects the accent used by the hip-hop pass)
+        const standardAnalysis = await this.analyze(text, options);
+        
+        // Add hip-hop analysis if available
+        if (this.hipHopAnalyzer) {
+            try {
+                const offset = options.offset || 0;
+                const hipHop = this.hipHopAnalyzer;
+                const timings = standardAnalysis.timings;
+                const hipHopFeatures = {};
+                let passStart = performance.now();
+                hipHopFeatures.internalRhymes = hipHop.detectInternalRhymes(text, offset);
+                hipHopFeatures.compoundRhymes = hipHop.detectCompoundRhymes(text, offset);
+                passStart = await this.endPass(options, timings, 'hipHop', passStart);
+                hipHopFeatures.multisyllabicChains = hipHop.detectMultisyllabicChains(text, offset);
+                passStart = await this.endPass(options, timings, 'hipHop', passStart);
+                // Mosaic rhymes are only uncapped off the main thread (options.background)
+                hipHopFeatures.mosaicRhymes = hipHop.detectMosaicRhymes(text, offset, !options.background);
+                passStart = await this.endPass(options, timings, 'hipHop', passStart);
+                hipHopFeatures.flowPatterns = hipHop.analyzeFlowPattern(text, offset);
+                hipHopFeatures.artistProfile = hipHop.generateArtistProfile(text, hipHopFeatures);
+                timings.hipHop += performance.now() - passStart;
+                
+                // Add hip-hop data to standard analysis
+                standardAnalysis.hipHop = hipHopFeatures;
+                
+            } catch (error) {
+                if (error instanceof AnalysisCancelledError) throw error;
+                console.warn('Hip-hop analysis failed:', error.message);
+                // Continue with standard analysis even if hip-hop fails
+            }
+        }
+        
+        return standardAnalysis;
+    }
+}
+
+// Shared with the hip-hop module, which counts syllables through the analyzer class
+RhymeAnalyzer.ARPA_VOWELS = ARPA_VOWELS;
+
+// Export for use in main plugin
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RhymeAnalyzer, AnalysisCancelledError, NUCLEUS_METRICS, CODA_METRICS };
+}
@@ -0,0 +1,189 @@
+/* Rhyme Lab Pro - Afrikaans and isiZulu Phonetics
+ * Word lists for language tagging in code-switched lyrics, and grapheme-to-phoneme rules
+ * that map Afrikaans and isiZulu spelling onto the same ARPAbet-like phone set as English
+ */
+
+// Common Afrikaans words (including Kaaps/SA slang). Words that are also English spellings
+// ("die", "is", "my", "wind") are tagged by their neighbours, not by this list alone
+const AFRIKAANS_WORDS = new Set([
+    "die", "is", "en", "ek", "jy", "hy", "sy", "ons", "julle", "hulle", "my", "jou", "nie", "wat",
+    "waar", "wie", "hoe", "hoekom", "wanneer", "van", "vir", "met", "op", "na", "by", "om", "te",
+    "tot", "uit", "oor", "onder", "agter", "voor", "tussen", "sonder", "maar", "want", "as", "of",
+    "dat", "omdat", "toe", "nou", "dan", "ook", "net", "al", "baie", "bietjie", "groot", "klein",
+    "goed", "sleg", "mooi", "lekker", "kak", "moeg", "bang", "kwaad", "bly", "hartseer", "liefde",
+    "lief", "hart", "siel", "lewe", "dood", "wêreld", "land", "stad", "dorp", "huis", "skool", "werk",
+    "geld", "kos", "water", "vuur", "lig", "donker", "nag", "dag", "môre", "more", "gister", "vandag",
+    "oggend", "aand", "son", "maan", "ster", "see", "berg", "pad", "straat", "kind", "kinders", "man",
+    "vrou", "ma", "pa", "broer", "suster", "vriend", "vriende", "mense", "mens", "boet", "ou", "ouens",
+    "meisie", "seun", "mal", "jol", "braai", "biltong", "boerewors", "dop", "kuier", "kêrel", "sommer",
+    "glad", "mos", "nogal", "darem", "seker", "miskien", "altyd", "nooit", "weer", "ja", "nee",
+    "asseblief", "dankie", "totsiens", "goeie", "jislaaik", "yislaaik", "ag", "sies", "eina", "voetsek",
+    "dinges", "gesels", "praat", "sing", "lag", "huil", "loop", "hardloop", "ry", "sien", "kyk", "hoor",
+    "voel", "weet", "dink", "glo", "wil", "kan", "moet", "sal", "gaan", "kom", "gee", "vat", "kry",
+    "hou", "maak", "doen", "sê", "vra", "antwoord", "slaap", "eet", "drink", "speel", "dans", "skryf",
+    "lees", "leer", "wag", "soek", "vind", "verloor", "wen", "veg", "help", "bid", "droom", "onthou",
+    "vergeet", "brand", "blom", "boom", "gras", "klip", "wind", "reën", "koud", "warm", "eerste",
+    "laaste", "alles", "niks", "iets", "iemand", "niemand", "elke", "ander", "self", "saam", "alleen",
+    "hier", "daar", "oral", "nêrens", "binne", "buite", "bo", "terug", "vinnig", "stadig", "hard",
+    "sag", "sterk", "swak", "ryk", "arm", "vry", "reg", "verkeerd", "oud", "jonk", "nuut", "hoog",
+    "laag", "lank", "kort", "swaar", "vol", "leeg", "skoon", "vuil", "soet", "suur", "bitter", "rooi",
+    "blou", "groen", "geel", "wit", "swart", "bruin", "bra", "ek's", "jy's", "hy's", "dis", "daai",
+    "hierdie", "gou", "tjommie", "lappie", "oke", "bakkie", "stoep", "veld", "kraal", "laatlammetjie"
+]);
+
+// isiZulu (and SA township slang of isiZulu origin) that turns up in lyrics
+const ZULU_WORDS = new Set([
+    "sawubona", "yebo", "hamba", "amandla", "ubuntu", "indaba", "gogo", "baba", "ngiyabonga",
+    "siyabonga", "unjani", "ngiyaphila", "haibo", "eish", "shaya", "shisa", "jola", "lobola", "muthi",
+    "sangoma", "tsotsi", "mfethu", "mfana", "ntwana", "mzansi", "ayoba", "yoh", "sho", "hayi", "kwaito",
+    "izinto", "inkosi", "umama", "ubaba", "intombi", "isoka", "uthando", "umuntu", "abantu", "impilo",
+    "ikhaya", "lapha", "khona", "manje", "namhlanje", "kahle", "kakhulu", "ngempela", "sharp-sharp"
+]);
+
+// Normalize language names and ISO codes from frontmatter ("Afrikaans", "af", "isiZulu", "zu")
+const LANGUAGE_ALIASES = {
+    "en": "en", "english": "en", "eng": "en",
+    "af": "af", "afr": "af", "afrikaans": "af",
+    "zu": "zu", "zul": "zu", "zulu": "zu", "isizulu": "zu"
+};
+
+const AF_VOWELS = "aeiouyêëéèôûî";
+
+// Longest patterns first; each maps to one ARPAbet vowel
+const AFRIKAANS_VOWEL_PATTERNS = [
+    ["aai", "AY"], ["ooi", "OY"], ["oei", "UW"], ["eeu", "IY"],
+    ["aa", "AA"], ["ee", "IY"], ["oo", "OW"], ["uu", "UW"], ["ie", "IY"], ["oe", "UW"],
+    ["ui", "EY"], ["ei", "EY"], ["eu", "IY"], ["ou", "OW"],
+    ["ê", "EH"], ["ë", "EH"], ["é", "EH"], ["è", "EH"], ["ô", "AO"], ["û", "ER"], ["î", "ER"],
+    ["a", "AA"], ["e", "EH"], ["i", "IH"], ["o", "AO"], ["u", "AH"], ["y", "EY"]
+];
+
+const AFRIKAANS_CONSONANT_PATTERNS = [
+    ["sch", ["S", "K"]], ["sj", ["SH"]], ["tj", ["CH"]], ["dj", ["JH"]], ["ng", ["NG"]], ["ch", ["SH"]],
+    ["gh", ["G"]], ["w", ["V"]], ["v", ["F"]], ["j", ["Y"]], ["c", ["K"]], ["q", ["K"]], ["x", ["K", "S"]],
+    ["b", ["B"]], ["d", ["D"]], ["f", ["F"]], ["h", ["HH"]], ["k", ["K"]], ["l", ["L"]], ["m", ["M"]],
+    ["n", ["N"]], ["p", ["P"]], ["r", ["R"]], ["s", ["S"]], ["t", ["T"]], ["z", ["Z"]]
+];
+
+// Unstressed Afrikaans prefixes push stress to the root: "gesels", "verloor", "besluit"
+const AFRIKAANS_UNSTRESSED_PREFIXES = ["ver", "her", "ont", "be", "ge", "er"];
+
+const ZULU_VOWELS = { "a": "AA", "e": "EH", "i": "IY", "o": "AO", "u": "UW" };
+
+// Clicks (c, q, x and their clusters) have no ARPAbet match; K keeps their place in the rhyme
+const ZULU_CONSONANT_PATTERNS = [
+    ["tsh", ["CH"]], ["gc", ["K"]], ["gq", ["K"]], ["gx", ["K"]], ["nc", ["N", "K"]], ["nq", ["N", "K"]],
+    ["nx", ["N", "K"]], ["hl", ["SH"]], ["dl", ["ZH"]], ["ph", ["P"]], ["th", ["T"]], ["kh", ["K"]],
+    ["bh", ["B"]], ["sh", ["SH"]], ["hh", ["HH"]], ["ny", ["N", "Y"]], ["ng", ["NG", "G"]],
+    ["c", ["K"]], ["q", ["K"]], ["x", ["K"]], ["b", ["B"]], ["d", ["D"]], ["f", ["F"]], ["g", ["G"]],
+    ["h", ["HH"]], ["j", ["JH"]], ["k", ["K"]], ["l", ["L"]], ["m", ["M"]], ["n", ["N"]], ["p", ["P"]],
+    ["r", ["R"]], ["s", ["S"]], ["t", ["T"]], ["v", ["V"]], ["w", ["W"]], ["y", ["Y"]], ["z", ["Z"]]
+];
+
+function normalizeLanguage(name) {
+    return LANGUAGE_ALIASES[String(name || '').trim().toLowerCase()] || null;
+}
+
+// Put primary stress on one vowel; phones arrive as [base, isVowel] pairs
+function stressVowels(phones, stressedOrdinal) {
+    let ordinal = 0;
+    return phones.map(([base, isVowel]) => {
+        if (!isVowel) return base;
+        return base + (ordinal++ === stressedOrdinal ? "1" : "0");
+    });
+}
+
+// Afrikaans spelling is close to phonemic: walk patterns, then apply final devoicing and schwa reduction
+function afrikaansToPhones(word) {
+    const w = word.toLowerCase().replace(/'/g, '');
+    const phones = [];
+    let i = 0;
+
+    while (i < w.length) {
+        const vowel = AFRIKAANS_VOWEL_PATTERNS.find(([pattern]) => w.startsWith(pattern, i));
+        if (vowel) {
+            phones.push([vowel[1], true]);
+            i += vowel[0].length;
+            continue;
+        }
+
+        // g is the velar fricative /x/: HH before a vowel, K when it closes a syllable ("lag", "dag")
+        if (w[i] === 'g' && w[i + 1] !== 'h') {
+            phones.push([i + 1 < w.length && AF_VOWELS.includes(w[i + 1]) ? "HH" : "K", false]);
+            i++;
+            continue;
+        }
+
+        const consonant = AFRIKAANS_CONSONANT_PATTERNS.find(([pattern]) => w.startsWith(pattern, i));
+        if (consonant) {
+            for (const phone of consonant[1]) {
+                // Doubled letters ("lekker") are one sound
+                if (phones.length === 0 || phones[phones.length - 1][0] !== phone) phones.push([phone, false]);
+            }
+            i += consonant[0].length;
+            continue;
+        }
+        i++;
+    }
+
+    // Final devoicing: "hond" ends in T, "web" in P
+    const last = phones[phones.length - 1];
+    if (last && !last[1]) {
+        if (last[0] === "D") last[0] = "T";
+        if (last[0] === "B") last[0] = "P";
+    }
+
+    const vowelCount = phones.filter(([, isVowel]) => isVowel).length;
+    const prefixed = vowelCount > 1 && AFRIKAANS_UNSTRESSED_PREFIXES.some(p => w.startsWith(p) && w.length > p.length + 2);
+    const stressed = stressVowels(phones, prefixed ? 1 : 0);
+
+    // Unstressed short e is a schwa ("lekker", "mense")
+    return stressed.map(phone => (phone === "EH0" ? "AH0" : phone));
+}
+
+// isiZulu: open syllables, five vowels, stress on the penultimate syllable
+function zuluToPhones(word) {
+    const w = word.toLowerCase().replace(/['-]/g, '');
+    const phones = [];
+    let i = 0;
+
+    while (i < w.length) {
+        if (ZULU_VOWELS[w[i]]) {
+            phones.push([ZULU_VOWELS[w[i]], true]);
+            i++;
+            continue;
+        }
+        const consonant = ZULU_CONSONANT_PATTERNS.find(([pattern]) => w.startsWith(pattern, i));
+        if (consonant) {
+            for (const phone of consonant[1]) phones.push([phone, false]);
+            i += consonant[0].length;
+            continue;
+        }
+        i++;
+    }
+
+    const vowelCount = phones.filter(([, isVowel]) => isVowel).length;
+    return stressVowels(phones, Math.max(0, vowelCount - 2));
+}
+
+// Phones for a non-English token, or null when the language has no rules here
+function languageToPhones(word, lang) {
+    if (lang === 'af') return afrikaansToPhones(word);
+    if (lang === 'zu') return zuluToPhones(word);
+    return null;
+}
+
+// Language a word list claims for a token ('af', 'zu' or null)
+function listedLanguage(word) {
+    if (ZULU_WORDS.has(word)) return 'zu';
+    if (AFRIKAANS_WORDS.has(word)) return 'af';
+    return null;
+}
+
+// Export for use in main plugin
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AFRIKAANS_WORDS, ZULU_WORDS, normalizeLanguage, afrikaansToPhones, zuluToPhones,
+        languageToPhones, listedLanguage
+    };
+}
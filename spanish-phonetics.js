@@ -0,0 +1,177 @@
+/* Rhyme Lab Pro - Spanish Phonetics
+ * Spanish orthography-to-phone conversion (Latin American seseo and yeísmo) onto the ARPAbet phone set,
+ * with written-accent stress rules, plus rima consonante / rima asonante classification
+ */
+
+// Common Spanish words for language tagging. Shared spellings ("me", "no", "sol") follow their neighbours
+const SPANISH_WORDS = new Set([
+    "el", "la", "los", "las", "de", "que", "y", "en", "un", "una", "es", "por", "con", "para", "como",
+    "pero", "más", "mi", "tu", "su", "yo", "tú", "él", "ella", "nosotros", "ellos", "ustedes", "usted",
+    "me", "te", "se", "lo", "le", "nos", "les", "del", "al", "muy", "sí", "no", "bien", "mal", "todo",
+    "nada", "siempre", "nunca", "ahora", "hoy", "mañana", "noche", "día", "vida", "amor", "corazón",
+    "alma", "cielo", "tierra", "mundo", "calle", "barrio", "gente", "dinero", "plata", "fuego", "agua",
+    "sol", "luna", "estrella", "mar", "sangre", "dolor", "miedo", "sueño", "sueños", "tiempo", "camino",
+    "casa", "familia", "madre", "padre", "hermano", "hermana", "amigo", "amigos", "mujer", "hombre",
+    "niño", "niña", "quiero", "puedo", "tengo", "vengo", "voy", "soy", "estoy", "eres", "somos", "está",
+    "están", "hay", "fue", "era", "tiene", "hace", "dice", "sabe", "vamos", "dale", "mira", "oye",
+    "baila", "bailar", "cantar", "vivir", "morir", "sentir", "pensar", "hablar", "saber", "querer",
+    "poder", "tener", "hacer", "decir", "ver", "dar", "ir", "ser", "estar", "loco", "loca", "bonita",
+    "bonito", "linda", "guapo", "fuerte", "grande", "pequeño", "nuevo", "viejo", "otro", "otra", "mismo",
+    "cada", "solo", "sola", "juntos", "contigo", "conmigo", "sin", "sobre", "entre", "hasta", "desde",
+    "porque", "cuando", "donde", "quien", "qué", "cómo", "cuándo", "dónde", "también", "tampoco", "aquí",
+    "allí", "allá", "así", "entonces", "ya", "todavía", "mucho", "poco", "papi", "mami", "chica", "chico",
+    "fiesta", "perreo", "reggaetón", "calor", "caliente", "frío", "libertad", "verdad", "razón",
+    "canción", "ritmo", "baile", "beso", "besos", "labios", "ojos", "boca", "manos", "piel", "cuerpo",
+    "mente", "voz", "palabra", "palabras", "historia", "guerra", "paz", "dios", "fe", "esperanza"
+]);
+
+const STRONG_VOWELS = "aeoáéó";
+const ACCENTED_VOWELS = "áéíóú";
+
+const SPANISH_VOWEL_PHONES = {
+    "a": "AA", "á": "AA", "e": "EH", "é": "EH", "i": "IY", "í": "IY",
+    "o": "OW", "ó": "OW", "u": "UW", "ú": "UW", "ü": "UW"
+};
+
+// Digraphs first; c/g before front vowels are handled separately
+const SPANISH_CONSONANT_PATTERNS = [
+    ["ch", ["CH"]], ["ll", ["Y"]], ["rr", ["R"]], ["qu", ["K"]], ["ñ", ["N", "Y"]],
+    ["b", ["B"]], ["v", ["B"]], ["d", ["D"]], ["f", ["F"]], ["j", ["HH"]], ["k", ["K"]], ["l", ["L"]],
+    ["m", ["M"]], ["n", ["N"]], ["p", ["P"]], ["r", ["R"]], ["s", ["S"]], ["t", ["T"]], ["w", ["W"]],
+    ["x", ["K", "S"]], ["z", ["S"]], ["y", ["Y"]]
+];
+
+// Any English or Spanish ARPAbet vowel folded onto the five Spanish vowels, for asonancia
+const SPANISH_VOWEL_CLASSES = {
+    "IY": "i", "IH": "i", "EH": "e", "EY": "e", "ER": "e", "AE": "a", "AA": "a", "AH": "a",
+    "AY": "a", "AW": "a", "AO": "o", "OW": "o", "OY": "o", "UH": "u", "UW": "u"
+};
+
+// Consonants Spanish does not distinguish (b/v, seseo, yeísmo) for rima consonante
+const SPANISH_CONSONANT_FOLD = { "V": "B", "Z": "S", "TH": "S", "DH": "D", "JH": "Y", "ZH": "Y" };
+
+function isSpanishVowel(ch) {
+    return Boolean(SPANISH_VOWEL_PHONES[ch]);
+}
+
+// Spanish spelling to phones: glides for unstressed i/u in diphthongs, stress from the accent mark
+// or, without one, on the penultimate syllable for words ending in a vowel, n or s, else the last
+function spanishToPhones(word) {
+    const w = word.toLowerCase().replace(/'/g, '');
+    const segments = []; // { phone } for consonants, { letter } for vowels
+    let i = 0;
+
+    while (i < w.length) {
+        const ch = w[i];
+        const next = w[i + 1] || '';
+
+        // Word-final y and y between consonants behave as the vowel i ("hoy", "muy", "y")
+        if (ch === 'y' && !isSpanishVowel(next)) {
+            segments.push({ letter: 'i' });
+            i++;
+            continue;
+        }
+        if (isSpanishVowel(ch)) {
+            segments.push({ letter: ch });
+            i++;
+            continue;
+        }
+        if (ch === 'h') { // Always silent
+            i++;
+            continue;
+        }
+        if (ch === 'c') {
+            segments.push({ phone: 'eéií'.includes(next) ? "S" : "K" });
+            i++;
+            continue;
+        }
+        if (ch === 'g') {
+            // "gue"/"gui" have a silent u, "ge"/"gi" are the jota
+            if ('eéií'.includes(next)) {
+                segments.push({ phone: "HH" });
+                i++;
+            } else if (next === 'u' && 'eéií'.includes(w[i + 2] || '')) {
+                segments.push({ phone: "G" });
+                i += 2;
+            } else {
+                segments.push({ phone: "G" });
+                i++;
+            }
+            continue;
+        }
+        if (ch === 'q' && next === 'u') {
+            segments.push({ phone: "K" });
+            i += 2;
+            continue;
+        }
+
+        const consonant = SPANISH_CONSONANT_PATTERNS.find(([pattern]) => w.startsWith(pattern, i));
+        if (consonant) {
+            for (const phone of consonant[1]) segments.push({ phone });
+            i += consonant[0].length;
+            continue;
+        }
+        i++;
+    }
+
+    // Resolve each run of vowel letters into nuclei and glides
+    const phones = []; // [phone, isNucleus, isAccented]
+    let s = 0;
+    while (s < segments.length) {
+        if (segments[s].phone) {
+            phones.push([segments[s].phone, false, false]);
+            s++;
+            continue;
+        }
+
+        const run = [];
+        while (s < segments.length && segments[s].letter) run.push(segments[s++].letter);
+
+        const nucleus = run.map(l => STRONG_VOWELS.includes(l) || ACCENTED_VOWELS.includes(l));
+        if (!nucleus.some(Boolean)) nucleus[run.length - 1] = true; // "ui", "iu": the second is the nucleus
+
+        run.forEach((letter, k) => {
+            if (nucleus[k]) {
+                phones.push([SPANISH_VOWEL_PHONES[letter], true, ACCENTED_VOWELS.includes(letter)]);
+            } else {
+                phones.push(['iíy'.includes(letter) ? "Y" : "W", false, false]);
+            }
+        });
+    }
+
+    const nuclei = phones.filter(([, isNucleus]) => isNucleus);
+    let stressed = nuclei.findIndex(([, , accented]) => accented);
+    if (stressed === -1) {
+        const last = w[w.length - 1] || '';
+        stressed = (isSpanishVowel(last) || last === 'n' || last === 's') && nuclei.length > 1
+            ? nuclei.length - 2
+            : nuclei.length - 1;
+    }
+
+    let ordinal = 0;
+    return phones.map(([phone, isNucleus]) => (isNucleus ? phone + (ordinal++ === stressed ? "1" : "0") : phone));
+}
+
+// Classify two rhyme tails (phones from the stressed vowel to the end, stress digits removed)
+// Consonante: every sound matches. Asonante: the stressed vowel and the final vowel match
+function spanishRhymeClass(tail1, tail2) {
+    if (!tail1.length || !tail2.length) return null;
+
+    const fold = tail => tail.map(p => SPANISH_VOWEL_CLASSES[p] || SPANISH_CONSONANT_FOLD[p] || p);
+    const folded1 = fold(tail1);
+    const folded2 = fold(tail2);
+    if (folded1.join(' ') === folded2.join(' ')) return 'consonante';
+
+    // Asonancia ignores post-tonic middle vowels (esdrújulas) and the glides of diphthongs
+    const vowelKey = tail => {
+        const vowels = tail.filter(p => SPANISH_VOWEL_CLASSES[p]).map(p => SPANISH_VOWEL_CLASSES[p]);
+        return vowels.length > 1 ? `${vowels[0]}-${vowels[vowels.length - 1]}` : vowels.join('');
+    };
+    const key1 = vowelKey(tail1);
+    return key1 && key1 === vowelKey(tail2) ? 'asonante' : null;
+}
+
+// Export for use in main plugin
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SPANISH_WORDS, spanishToPhones, spanishRhymeClass };
+}
@@ -0,0 +1,257 @@
+/* Rhyme Lab Pro - Text Normalizer
+ * Expands numerals, currency, ordinals, symbols and abbreviations into spoken words before tokenization
+ * ("2Pac", "$100", "24/7", "&", "Dr."), keeping each expansion tied to the original characters
+ */
+
+const ONES = [
+    "zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+    "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen"
+];
+const TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+const SCALES = [[1e9, "billion"], [1e6, "million"], [1e3, "thousand"]];
+
+// Irregular ordinals; everything else adds "th" (twenty -> twentieth)
+const ORDINAL_WORDS = {
+    "one": "first", "two": "second", "three": "third", "five": "fifth",
+    "eight": "eighth", "nine": "ninth", "twelve": "twelfth"
+};
+
+// Currency names, singular and plural, then the same for its hundredth
+const CURRENCY_WORDS = {
+    "$": ["dollar", "dollars", "cent", "cents"],
+    "£": ["pound", "pounds", "penny", "pence"],
+    "€": ["euro", "euros", "cent", "cents"]
+};
+
+// Shorthand multipliers after a number ("$100k", "5M")
+const MULTIPLIER_WORDS = { "k": "kay", "m": "million", "b": "billion" };
+
+const SYMBOL_WORDS = { "&": "and", "@": "at", "+": "plus", "=": "equals", "%": "percent" };
+
+// Abbreviations, matched case-insensitively with an optional trailing period
+const ABBREVIATIONS = {
+    "dr": "doctor", "mr": "mister", "mrs": "missus", "ms": "miz", "jr": "junior", "sr": "senior",
+    "st": "saint", "mt": "mount", "vs": "versus", "etc": "et cetera", "feat": "featuring", "ft": "featuring",
+    "lbs": "pounds", "oz": "ounces", "hrs": "hours", "mins": "minutes", "yrs": "years"
+};
+
+// Initialisms read letter by letter; only all-caps spellings are expanded ("DJ", not "dj")
+const INITIALISMS = new Set([
+    "DJ", "MC", "OG", "VIP", "CEO", "MVP", "RIP", "AKA", "NYC", "LA", "ATL", "BK", "USA", "UK", "TV",
+    "AK", "FBI", "CIA", "DEA", "NBA", "GPS", "BMW", "ID", "IG", "DM", "PS", "DNA", "HIV", "ATM", "SUV"
+]);
+
+const LETTER_NAMES = {
+    "A": "ay", "B": "bee", "C": "see", "D": "dee", "E": "ee", "F": "eff", "G": "gee", "H": "aitch",
+    "I": "eye", "J": "jay", "K": "kay", "L": "el", "M": "em", "N": "en", "O": "oh", "P": "pee",
+    "Q": "cue", "R": "are", "S": "ess", "T": "tee", "U": "you", "V": "vee", "W": "double you",
+    "X": "ex", "Y": "why", "Z": "zee"
+};
+
+// Whole numbers up to the billions; longer digit strings are read digit by digit
+function numberToWords(digits) {
+    const clean = String(digits).replace(/,/g, '');
+    if (!/^\d+$/.test(clean)) return clean;
+    if (clean.length > 1 && clean[0] === '0') return digitsToWords(clean); // "007"
+    if (clean.length > 12) return digitsToWords(clean);
+
+    let n = parseInt(clean, 10);
+    if (n < 20) return ONES[n];
+
+    const words = [];
+    for (const [size, name] of SCALES) {
+        if (n >= size) {
+            words.push(numberToWords(String(Math.floor(n / size))), name);
+            n %= size;
+        }
+    }
+    if (n >= 100) {
+        words.push(ONES[Math.floor(n / 100)], "hundred");
+        n %= 100;
+    }
+    if (n >= 20) {
+        words.push(TENS[Math.floor(n / 10)]);
+        n %= 10;
+        if (n > 0) words.push(ONES[n]);
+    } else if (n > 0) {
+        words.push(ONES[n]);
+    }
+    return words.join(' ');
+}
+
+// "007" -> "oh oh seven"
+function digitsToWords(digits) {
+    return digits.split('').map(d => (d === '0' ? "oh" : ONES[parseInt(d, 10)])).join(' ');
+}
+
+// Four-digit years are read in pairs: 1994 -> "nineteen ninety four", 2005 -> "two thousand five"
+function yearToWords(digits) {
+    const year = parseInt(digits, 10);
+    if (year >= 2000 && year < 2010) return numberToWords(digits);
+    const high = Math.floor(year / 100);
+    const low = year % 100;
+    if (low === 0) return `${numberToWords(String(high))} hundred`;
+    return `${numberToWords(String(high))} ${low < 10 ? "oh " : ""}${numberToWords(String(low))}`;
+}
+
+// "90" -> "nineties", "1980" -> "nineteen eighties", "00" -> "two thousands"; null if the digits don't end a decade
+function decadeToWords(digits) {
+    if (digits === "00") return "two thousands";
+    const decade = parseInt(digits.slice(-2), 10);
+    if (decade % 10 !== 0) return null;
+    const words = (digits.length === 4 ? yearToWords(digits) : numberToWords(digits)).split(' ');
+    const last = words.pop();
+    return [...words, last.endsWith('y') ? last.slice(0, -1) + "ies" : last + "s"].join(' ');
+}
+
+function ordinalToWords(digits) {
+    const words = numberToWords(digits).split(' ');
+    const last = words.pop();
+    let ordinal;
+    if (ORDINAL_WORDS[last]) ordinal = ORDINAL_WORDS[last];
+    else if (last.endsWith('y')) ordinal = last.slice(0, -1) + "ieth";
+    else ordinal = last + "th";
+    return [...words, ordinal].join(' ');
+}
+
+// Integers, with year reading for plausible years; decimals are read "point five"
+function amountToWords(integer, fraction) {
+    const clean = integer.replace(/,/g, '');
+    const year = !integer.includes(',') && /^\d{4}$/.test(clean) &&
+        parseInt(clean, 10) >= 1100 && parseInt(clean, 10) < 2100 && parseInt(clean, 10) % 1000 !== 0;
+    const whole = year ? yearToWords(clean) : numberToWords(clean);
+    return fraction ? `${whole} point ${digitsToWords(fraction).replace(/\boh\b/g, "zero")}` : whole;
+}
+
+// Each rule is tried at the current position; sticky regexes only match there
+const RULES = [
+    // Currency with optional cents and multiplier: "$100", "$5.50" ("five dollars and fifty cents"), "$1M",
+    // "$1.5M", "£20k"
+    // Before a multiplier the cents are a decimal fraction ("one point five million dollars")
+    {
+        pattern: /([$£€])\s?(\d[\d,]*)(?:\.(\d{1,2}))?\s?([kKmMbB])?(?![\p{L}\d])/uy,
+        expand: ([, symbol, amount, cents, multiplier]) => {
+            const [singular, plural, hundredth, hundredths] = CURRENCY_WORDS[symbol];
+            const spoken = numberToWords(amount);
+            if (multiplier) {
+                const scale = MULTIPLIER_WORDS[multiplier.toLowerCase()];
+                const scaled = cents ? `${spoken} point ${digitsToWords(cents).replace(/\boh\b/g, "zero")}` : spoken;
+                return scale === "kay" ? `${scaled} kay` : `${scaled} ${scale} ${plural}`;
+            }
+            let words = `${spoken} ${spoken === "one" ? singular : plural}`;
+            // "$5.5" is fifty cents, "$5.05" five
+            const change = cents ? parseInt(cents.padEnd(2, '0'), 10) : 0;
+            if (change > 0) {
+                words += ` and ${numberToWords(String(change))} ${change === 1 ? hundredth : hundredths}`;
+            }
+            return words;
+        }
+    },
+    // Ordinals: "1st", "22nd", "100th"
+    { pattern: /(\d[\d,]*)(?:st|nd|rd|th)(?!\p{L})/uy, expand: ([, digits]) => ordinalToWords(digits) },
+    // Clock times: "12:30" -> "twelve thirty", "3:05" -> "three oh five", "4:00" -> "four o'clock"
+    {
+        pattern: /(\d{1,2}):(\d{2})(?!\d)/y,
+        expand: ([, hours, minutes]) => {
+            const m = parseInt(minutes, 10);
+            if (m === 0) return `${numberToWords(hours)} o'clock`;
+            return `${numberToWords(hours)} ${m < 10 ? "oh " : ""}${numberToWords(String(m))}`;
+        }
+    },
+    // Slashed numbers: "24/7", "9/11", "50/50"
+    {
+        pattern: /(\d+)\/(\d+)(?!\d)/y,
+        expand: ([, a, b]) => `${numberToWords(a)} ${numberToWords(b)}`
+    },
+    // Percentages: "100%"
+    {
+        pattern: /(\d[\d,]*)(?:\.(\d+))?\s?%/y,
+        expand: ([, integer, fraction]) => `${amountToWords(integer, fraction)} percent`
+    },
+    // Decades, before the abbreviated years and plain numbers would take their digits: "'90s", "1980s"
+    { pattern: /['’]?(\d{4}|\d{2})['’]?s(?!\p{L})/uy, expand: ([, digits]) => decadeToWords(digits) },
+    // Abbreviated years: "'94"
+    { pattern: /['’](\d{2})(?!\d)/y, expand: ([, digits]) => yearToWords(`19${digits}`).split(' ').slice(1).join(' ') },
+    // Number sign before a number: "#1" -> "number one"
+    { pattern: /#(\d+)/y, expand: ([, digits]) => `number ${numberToWords(digits)}` },
+    // Numbers with a shorthand multiplier: "100k", "5M"
+    {
+        pattern: /(\d[\d,]*)([kKmM])(?!\p{L})/uy,
+        expand: ([, amount, multiplier]) => {
+            return `${numberToWords(amount)} ${MULTIPLIER_WORDS[multiplier.toLowerCase()]}`;
+        }
+    },
+    // Plain numbers and decimals; letters after them stay a separate word ("2Pac" -> "two" + "Pac")
+    { pattern: /(\d[\d,]*\d|\d)(?:\.(\d+))?/y, expand: ([, integer, fraction]) => amountToWords(integer, fraction) },
+    // Symbols spoken as words
+    { pattern: /[&@+=%]/y, expand: ([symbol]) => SYMBOL_WORDS[symbol] },
+    // "w/", "w/o" and "b/c"
+    {
+        pattern: /(?:w\/o|b\/c)(?!\p{L})|w\//iuy,
+        wordStart: true,
+        expand: ([text]) => ({ "w/o": "without", "b/c": "because" }[text.toLowerCase()] || "with")
+    },
+    // Abbreviations and initialisms, only as whole words
+    {
+        pattern: /(\p{L}+)(\.)?(?![\p{L}'’])/uy,
+        wordStart: true,
+        expand: ([, letters, period]) => {
+            if (INITIALISMS.has(letters)) {
+                return letters.split('').map(letter => LETTER_NAMES[letter]).join(' ');
+            }
+            const abbreviation = ABBREVIATIONS[letters.toLowerCase()];
+            // Lowercase abbreviations need their period so ordinary words ("st" in a lyric) stay put
+            if (abbreviation && (period || letters[0] !== letters[0].toLowerCase())) return abbreviation;
+            return null;
+        }
+    }
+];
+
+// Split a line into segments covering every character. Expanded segments carry the spoken text and
+// the original span they replace ({ text, from, to, expanded: true }); the rest pass through unchanged
+function normalizeLine(line) {
+    const segments = [];
+    let plainStart = 0;
+    let i = 0;
+
+    const flushPlain = end => {
+        if (end > plainStart) {
+            segments.push({ text: line.slice(plainStart, end), from: plainStart, to: end, expanded: false });
+        }
+    };
+
+    while (i < line.length) {
+        const atWordStart = i === 0 || !/[\p{L}\p{N}'’]/u.test(line[i - 1]);
+        let matched = null;
+
+        for (const rule of RULES) {
+            if (rule.wordStart && !atWordStart) continue;
+            rule.pattern.lastIndex = i;
+            const match = rule.pattern.exec(line);
+            if (!match || match[0].length === 0) continue;
+
+            const text = rule.expand(match);
+            if (text) {
+                matched = { text, length: match[0].length };
+                break;
+            }
+        }
+
+        if (matched) {
+            flushPlain(i);
+            segments.push({ text: matched.text, from: i, to: i + matched.length, expanded: true });
+            i += matched.length;
+            plainStart = i;
+        } else {
+            i++;
+        }
+    }
+
+    flushPlain(line.length);
+    return segments;
+}
+
+// Export for use in main plugin
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { normalizeLine, numberToWords, ordinalToWords, yearToWords };
+}
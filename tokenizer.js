@@ -0,0 +1,92 @@
+/* Rhyme Lab Pro - Tokenizer
+ * One Unicode-aware tokenizer shared by the core and hip-hop analyzers. Runs the text normalizer first,
+ * then splits words on anything that isn't a letter, combining mark or word-internal apostrophe
+ * Hyphenated words become one token per part ("four-five" -> "four", "five"), since each part is
+ * pronounced as its own word
+ */
+
+const { normalizeLine } = require('./text-normalizer.js');
+
+// Straight, curly (phones, Google Docs) and modifier-letter apostrophes
+const APOSTROPHE = "['’‘ʼ]";
+const TOKEN_PATTERN = new RegExp(`${APOSTROPHE}?[\\p{L}\\p{M}]+(?:${APOSTROPHE}[\\p{L}\\p{M}]+)*${APOSTROPHE}?`, 'gu');
+const APOSTROPHES = new RegExp(APOSTROPHE, 'gu');
+
+// Leading apostrophes that are elisions, not opening quotes
+const LEADING_ELISIONS = new Set([
+    "'em", "'cause", "'bout", "'til", "'round", "'fore", "'nuff", "'sup", "'tis", "'twas", "'n", "'ya"
+]);
+
+// Lowercase, NFC-composed (café typed as e + combining accent == café), straight apostrophes only
+function normalizeWord(word) {
+    if (typeof word !== 'string') return '';
+    return word.normalize('NFC')
+        .toLowerCase()
+        .replace(APOSTROPHES, "'")
+        .replace(/[^\p{L}\p{M}\p{N}']/gu, '');
+}
+
+// Trim quote marks that only look like apostrophes: keep "'em" and dropped-g "runnin'", drop 'quoted'
+function trimQuotes(raw) {
+    let start = 0;
+    let end = raw.length;
+    const normalized = normalizeWord(raw);
+
+    if (normalized.startsWith("'") && !LEADING_ELISIONS.has(normalized.replace(/'$/, ''))) start = 1;
+    if (normalized.endsWith("'") && end - start > 1 && !/in'$/.test(normalized)) end -= 1;
+    return [start, end];
+}
+
+// Tokens for one line. lineOffset is the document offset of the line's first character
+// Each token: { text, lower, line, position, end, from, to, source, expanded }
+//   position/end - columns in the line of the characters the token came from
+//   from/to      - the same span as document offsets
+//   source       - those original characters ("$100" for each word of "one hundred dollars")
+function tokenizeLine(line, lineIndex = 0, lineOffset = 0) {
+    const tokens = [];
+
+    for (const segment of normalizeLine(line)) {
+        for (const match of segment.text.matchAll(TOKEN_PATTERN)) {
+            const [start, end] = trimQuotes(match[0]);
+            const text = match[0].slice(start, end);
+            const lower = normalizeWord(text);
+            if (!lower || lower === "'") continue;
+
+            const position = segment.expanded ? segment.from : segment.from + match.index + start;
+            const tokenEnd = segment.expanded ? segment.to : position + text.length;
+            tokens.push({
+                text,
+                lower,
+                line: lineIndex,
+                position,
+                end: tokenEnd,
+                from: lineOffset + position,
+                to: lineOffset + tokenEnd,
+                source: line.slice(position, tokenEnd),
+                expanded: segment.expanded
+            });
+        }
+    }
+
+    return tokens;
+}
+
+// Tokens for a whole document (lines split on \n, \r\n tolerated). baseOffset is where the text
+// starts in its note, so a selection's tokens carry offsets into the full note
+function tokenize(text, baseOffset = 0) {
+    const tokens = [];
+    let offset = baseOffset;
+
+    String(text || '').split('\n').forEach((rawLine, lineIndex) => {
+        const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+        tokens.push(...tokenizeLine(line, lineIndex, offset));
+        offset += rawLine.length + 1;
+    });
+
+    return tokens;
+}
+
+// Export for use in main plugin
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { tokenize, tokenizeLine, normalizeWord };
+}
@@ -0,0 +1,152 @@
+/* Rhyme Lab Pro - User Pronunciation Dictionary
+ * Per-vault JSON lexicon ({ "word": "P H O N E S" } or { "word": ["VARIANT 1", "VARIANT 2"] })
+ * that overrides every built-in table
+ * Lives in the vault so it syncs with the notes it was written for
+ */
+
+const DEFAULT_USER_LEXICON_PATH = 'rhyme-lab-lexicon.json';
+
+// ARPAbet phones a hand-edited entry may use; vowels may carry a stress digit
+const ARPABET_VOWELS = new Set([
+    "AA", "AE", "AH", "AO", "AW", "AY", "EH", "ER", "EY", "IH", "IY", "OW", "OY", "UH", "UW"
+]);
+const ARPABET_CONSONANTS = new Set([
+    "B", "CH", "D", "DH", "F", "G", "HH", "JH", "K", "L", "M", "N", "NG", "P", "R",
+    "S", "SH", "T", "TH", "V", "W", "Y", "Z", "ZH"
+]);
+
+class UserLexicon {
+    // adapter is the vault DataAdapter (exists/read/write), path is vault-relative
+    constructor(adapter, path = DEFAULT_USER_LEXICON_PATH) {
+        this.adapter = adapter;
+        this.path = path;
+        this.entries = new Map();
+        this.loadPromise = null;
+        this.lastSerialized = null; // Used to ignore vault change events caused by our own writes
+    }
+
+    // Point at a different file; the next lookup pass reloads from it
+    setPath(path) {
+        this.path = path || DEFAULT_USER_LEXICON_PATH;
+        this.entries = new Map();
+        this.loadPromise = null;
+        this.lastSerialized = null;
+    }
+
+    ensureLoaded() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.load().catch(error => {
+                console.warn('User pronunciation dictionary could not be read:', error.message);
+                return false;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    // Read the JSON file; a missing file simply means an empty dictionary. The entries are only replaced
+    // once the whole file has parsed
+    async load() {
+        if (!(await this.adapter.exists(this.path))) {
+            this.entries = new Map();
+            return true;
+        }
+
+        const raw = await this.adapter.read(this.path);
+        this.entries = this.parse(raw);
+        this.lastSerialized = raw;
+        return true;
+    }
+
+    // Force a re-read, e.g. after the file was edited by hand. Returns false if nothing changed. A file that
+    // doesn't parse throws and leaves the previous entries in place
+    async reload() {
+        if (await this.adapter.exists(this.path)) {
+            const raw = await this.adapter.read(this.path);
+            if (raw === this.lastSerialized) return false;
+        }
+        await this.ensureLoaded();
+        const loading = this.load();
+        this.loadPromise = loading.catch(() => true);
+        await loading;
+        return true;
+    }
+
+    // Entries of a dictionary file, as a word -> variants map
+    parse(raw) {
+        const data = raw.trim() ? JSON.parse(raw) : {};
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`${this.path} must contain a JSON object of word -> phones`);
+        }
+
+        const entries = new Map();
+        for (const [word, value] of Object.entries(data)) {
+            const variants = (Array.isArray(value) ? value : [value])
+                .filter(v => typeof v === 'string')
+                .map(v => v.trim().toUpperCase().split(/\s+/).filter(p => p))
+                .filter(v => v.length > 0);
+            for (const phone of variants.flat()) {
+                const [, base, stress] = /^([A-Z]+)([012]?)$/.exec(phone) || [];
+                if (!(ARPABET_VOWELS.has(base) || (ARPABET_CONSONANTS.has(base) && !stress))) {
+                    throw new Error(`Unknown phone "${phone}" for "${word}" in ${this.path}`);
+                }
+            }
+            if (variants.length > 0) entries.set(word.toLowerCase(), variants);
+        }
+        return entries;
+    }
+
+    // Single pronunciations stay plain strings so the file is easy to edit by hand
+    serialize() {
+        const data = {};
+        for (const word of Array.from(this.entries.keys()).sort()) {
+            const variants = this.entries.get(word).map(v => v.join(' '));
+            data[word] = variants.length === 1 ? variants[0] : variants;
+        }
+        return JSON.stringify(data, null, 2) + '\n';
+    }
+
+    async save() {
+        const serialized = this.serialize();
+        this.lastSerialized = serialized;
+        await this.adapter.write(this.path, serialized);
+    }
+
+    // Primary (first listed) pronunciation, or null when unknown
+    lookup(word) {
+        const variants = this.entries.get(word);
+        return variants ? [...variants[0]] : null;
+    }
+
+    // Every pronunciation of the word, primary first
+    lookupAll(word) {
+        const variants = this.entries.get(word);
+        return variants ? variants.map(v => [...v]) : null;
+    }
+
+    has(word) {
+        return this.entries.has(word);
+    }
+
+    // variants is a list of phone arrays, primary first
+    set(word, variants) {
+        this.entries.set(word.toLowerCase(), variants.map(v => [...v]));
+    }
+
+    remove(word) {
+        return this.entries.delete(word.toLowerCase());
+    }
+
+    // Sorted [word, variants] pairs for display
+    list() {
+        return Array.from(this.entries.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+// Export for use in main plugin
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UserLexicon, DEFAULT_USER_LEXICON_PATH };
+}